@@ -2,23 +2,106 @@ import React, { Component } from 'react';
 import './style/App.css';
 // Views
 import PianoKeyboard from './components/PianoKeyboard';
+import ChordHistory from './components/ChordHistory';
+import PianoRoll from './components/PianoRoll';
+import Fretboard from './components/Fretboard';
+import HarmonySpace from './components/HarmonySpace';
+import VoiceLeadingView from './components/VoiceLeadingView';
+import KeyDetectionPanel from './components/KeyDetectionPanel';
+import PedalPanel from './components/PedalPanel';
+import VoicingPanel from './components/VoicingPanel';
+import SynthPanel from './components/SynthPanel';
+import MidiFileTimeline from './components/MidiFileTimeline';
+import ExportPanel from './components/ExportPanel';
+import SessionPanel from './components/SessionPanel';
+import QuizPanel from './components/QuizPanel';
+import ChordLookupPanel from './components/ChordLookupPanel';
+import DetectionPanel from './components/DetectionPanel';
+import MidiInputPanel from './components/MidiInputPanel';
+import MidiOutputPanel from './components/MidiOutputPanel';
+import ScaleExplorerPanel from './components/ScaleExplorerPanel';
+import ChordSuggestionPanel from './components/ChordSuggestionPanel';
+import VoiceLeadingPanel from './components/VoiceLeadingPanel';
+import ThemePanel from './components/ThemePanel';
 // API, data etc.
-import { Chord } from "@tonaljs/tonal";
-import { MidiInputManager } from 'musicvis-lib';
+import { Note } from 'musicvis-lib';
+import { estimateKey, MAJOR_MINOR_SCALES, MODAL_SCALES } from './lib/harmony/KeyDetection';
+import { analyzeChord } from './lib/harmony/RomanNumerals';
+import { analyzeVoicing } from './lib/harmony/Voicing';
+import { getChordPitches } from './lib/harmony/ChordUtils';
+import { detectChords, getChordSegments } from './lib/harmony/ChordSegmentation';
+import { rankChords, explainRanking } from './lib/harmony/ChordRanking';
+import { lookupChord } from './lib/harmony/ChordLookup';
+import { getScaleOverlay, findScalesContaining } from './lib/harmony/ScaleExplorer';
+import { suggestNextChords } from './lib/harmony/ChordSuggestions';
+import { getDefaultVoiceLeadingRules, analyzeProgression } from './lib/harmony/VoiceLeading';
+import { loadThemeSettings, saveThemeSettings, getSystemPreferences, resolveTheme, createCustomTheme, getThemeStyle } from './lib/ui/Themes';
+import ChordDetectionEngine from './lib/harmony/ChordDetectionEngine';
+import { readMidiFile } from './lib/fileFormats/MidiFileImport';
+import { notesToMidiFile } from './lib/fileFormats/MidiFileExport';
+import { notesToMusicXml } from './lib/fileFormats/MusicXmlExport';
+import { getChordChart, chordChartToText, chordChartToJson } from './lib/fileFormats/ChordChartExport';
+import { getSessionNotes, getSessionFileName, downloadFile } from './lib/fileFormats/SessionExport';
+import { sessionToJson, parseSessionJson } from './lib/fileFormats/SessionJson';
+import { createSession, captureSession, restoreSession } from './lib/storage/Session';
+import { saveSession, loadSession, deleteSession, listSessions } from './lib/storage/SessionDatabase';
+import { getDefaultQuizSettings, createQuestion, checkAnswer, addResultToStats, loadQuizStats, saveQuizStats } from './lib/practice/ChordQuiz';
+import Synth from './lib/audio/Synth';
+import MidiFilePlayer from './lib/audio/MidiFilePlayer';
+import VirtualInputManager from './lib/input/VirtualInputManager';
+import MidiDeviceManager from './lib/input/MidiDeviceManager';
+import MidiNoteInput from './lib/input/MidiNoteInput';
+import MidiOutput from './lib/output/MidiOutput';
+import MidiOutputRouter from './lib/output/MidiOutputRouter';
+import MidiControlChangeListener, { SUSTAIN_PEDAL, SOSTENUTO_PEDAL } from './lib/input/MidiControlChangeListener';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faGithub } from '@fortawesome/free-brands-svg-icons';
 import { faInfoCircle } from '@fortawesome/free-solid-svg-icons';
 
+/**
+ * Interval in milliseconds in which a recording session is saved
+ */
+const AUTOSAVE_INTERVAL = 5000;
+
 export default class App extends Component {
 
     constructor(props) {
         super(props);
-        // Setup MIDI input
-        new MidiInputManager(
+        // Setup MIDI input, devices and channels can be disabled
+        this.midiDevices = null;
+        // Thru, chord trigger and bass output to another MIDI device
+        this.midiOutputRouter = new MidiOutputRouter();
+        if (navigator.requestMIDIAccess) {
+            this.midiDevices = new MidiDeviceManager(this.onMidiDevicesChange);
+            this.midiNoteInput = new MidiNoteInput(
+                this.getMidiLiveData,
+                this.setMidiLiveData,
+                this.addCurrentNote,
+                this.removeCurrentNote
+            );
+            this.midiDevices.addListener(this.midiNoteInput.handleMessage);
+            this.midiDevices.addListener(new MidiControlChangeListener(this.onControlChange).handleMessage);
+        }
+        this.synth = new Synth();
+        // Setup computer keyboard and mouse / touch input
+        this.virtualInput = new VirtualInputManager(
             this.getMidiLiveData,
             this.setMidiLiveData,
             this.addCurrentNote,
-            this.removeCurrentNote
+            this.removeCurrentNote,
+            this.setVirtualInputSettings,
+            this.onControlChange
+        );
+        // Playback of imported MIDI files
+        this.midiFilePlayer = new MidiFilePlayer(
+            playbackNotes => this.setState({ playbackNotes }),
+            playbackState => this.setState({ playbackState })
+        );
+        // Groups note changes into stable chords
+        this.chordDetection = new ChordDetectionEngine(
+            () => this.getChordDetectionNotes(),
+            this.getMidiLiveData,
+            this.onChordDetected
         );
         this.state = {
             viewSize: {
@@ -26,14 +109,339 @@ export default class App extends Component {
                 outerHeight: 600
             },
             midiLiveData: [],
-            currentNotes: new Map()
+            midiDevices: [],
+            midiDeviceError: null,
+            midiOutputs: [],
+            outputSettings: this.midiOutputRouter.settings,
+            // Channels that input notes were received on
+            inputChannels: new Set(),
+            // Notes below this pitch only count as bass, null for no split
+            splitPitch: null,
+            currentNotes: new Map(),
+            // Released notes that are still sustained by a pedal
+            soundingNotes: new Map(),
+            sustainPedal: false,
+            sostenutoPedal: false,
+            sostenutoPitches: new Set(),
+            includeSoundingNotes: true,
+            // Notes of the current chord, reported by the detection engine
+            detectedNotes: [],
+            detectionSettings: this.chordDetection.settings,
+            chordHistory: [],
+            selectedChord: null,
+            estimatedKey: null,
+            selectedKey: null,
+            keyDetectionWindow: 30,
+            keyDetectionModes: false,
+            virtualInputSettings: {
+                octave: this.virtualInput.octave,
+                velocity: this.virtualInput.velocity
+            },
+            synthSettings: this.synth.settings,
+            midiFile: null,
+            midiFileError: null,
+            // Notes at the playhead of the MIDI file player
+            playbackNotes: new Map(),
+            playbackState: { isPlaying: false, isScrubbing: false, speed: 1 },
+            quizActive: false,
+            quizSettings: getDefaultQuizSettings(),
+            quizQuestion: null,
+            quizSolved: false,
+            quizStats: loadQuizStats(),
+            chordLookup: { input: '', inversion: 0, octave: 4 },
+            // Scale shown on the keyboard instead of the analysis key
+            scaleExplorer: { enabled: false, root: 'C', type: 'major' },
+            // Next chord suggestion that is previewed on the keyboard
+            suggestionPreview: null,
+            voiceLeadingRules: getDefaultVoiceLeadingRules(),
+            themeSettings: loadThemeSettings(),
+            // Used by the 'auto' theme
+            systemPreferences: getSystemPreferences(),
+            // Summaries of the stored sessions
+            sessions: [],
+            recordingSession: null,
+            loadedSessionId: null,
+            sessionError: null
         };
+        // Start of the current recording, same time base as the notes
+        this.recordingStart = 0;
     }
 
     componentDidMount() {
         // Scale layout to current screen size
         window.addEventListener('resize', this.onResize, false);
         this.onResize();
+        this.virtualInput.attachKeyboardListeners();
+        // Audio can only start after a user gesture
+        window.addEventListener('pointerdown', this.resumeAudio);
+        window.addEventListener('keydown', this.resumeAudio);
+        // Re-estimate the key regularly, since the time window slides
+        this.keyDetectionInterval = setInterval(this.updateEstimatedKey, 1000);
+        // Save the recording when the page is hidden, e.g. before closing it
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        this.refreshSessions();
+        // Follow changes of the system's color scheme
+        this.colorSchemeQueries = window.matchMedia
+            ? ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].map(d => window.matchMedia(d))
+            : [];
+        for (let query of this.colorSchemeQueries) {
+            query.addEventListener('change', this.onSystemPreferencesChange);
+        }
+        this.applyTheme();
+    }
+
+    componentWillUnmount() {
+        window.removeEventListener('resize', this.onResize, false);
+        clearInterval(this.keyDetectionInterval);
+        this.virtualInput.detachKeyboardListeners();
+        window.removeEventListener('pointerdown', this.resumeAudio);
+        window.removeEventListener('keydown', this.resumeAudio);
+        this.midiFilePlayer.pause();
+        clearTimeout(this.quizTimeout);
+        this.chordDetection.stop();
+        clearInterval(this.autosaveInterval);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        this.saveRecording();
+        this.midiOutputRouter.allNotesOff();
+        this.synth.stopAll();
+        for (let query of this.colorSchemeQueries) {
+            query.removeEventListener('change', this.onSystemPreferencesChange);
+        }
+    }
+
+    componentDidUpdate(prevProps, prevState) {
+        const s = this.state;
+        if (
+            prevState.currentNotes !== s.currentNotes
+            || prevState.soundingNotes !== s.soundingNotes
+            || prevState.playbackNotes !== s.playbackNotes
+            || prevState.playbackState !== s.playbackState
+        ) {
+            this.updateSynth(prevState);
+        }
+        if (
+            prevState.themeSettings !== s.themeSettings
+            || prevState.systemPreferences !== s.systemPreferences
+        ) {
+            this.applyTheme();
+        }
+    }
+
+    /**
+     * Sets the colors of the current theme as CSS custom properties on the
+     * document, so they also reach the page background outside the App
+     */
+    applyTheme() {
+        const s = this.state;
+        const theme = resolveTheme(s.themeSettings.themeId, s.themeSettings.customThemes, s.systemPreferences);
+        for (let [variable, value] of Object.entries(getThemeStyle(theme))) {
+            document.documentElement.style.setProperty(variable, value);
+        }
+    }
+
+    resumeAudio = () => this.synth.resume();
+
+    /**
+     * Returns the notes at the playhead of the MIDI file player, but only
+     * while playing or scrubbing, so a loaded file does not mix into live
+     * playing
+     * @param {Object} state app state
+     * @returns {Map<number,Note>} notes by pitch
+     */
+    getActivePlaybackNotes(state) {
+        const { isPlaying, isScrubbing } = state.playbackState;
+        return isPlaying || isScrubbing ? state.playbackNotes : new Map();
+    }
+
+    /**
+     * Returns all notes that should be audible: held and pedal-sustained
+     * notes and, while playing, the notes of the MIDI file
+     * @param {Object} state app state
+     * @returns {Map<number,Note>} notes by pitch
+     */
+    getAudibleNotes(state) {
+        return new Map([...this.getActivePlaybackNotes(state), ...state.soundingNotes, ...state.currentNotes]);
+    }
+
+    /**
+     * Starts and stops synth notes for notes that were added to or removed
+     * from the held and sustained notes
+     * @param {Object} prevState previous app state
+     */
+    updateSynth(prevState) {
+        const before = this.getAudibleNotes(prevState);
+        const after = this.getAudibleNotes(this.state);
+        for (let pitch of before.keys()) {
+            if (!after.has(pitch)) {
+                this.synth.noteOff(pitch);
+            }
+        }
+        for (let [pitch, note] of after) {
+            // New notes and notes that were struck again (new Note object)
+            if (before.get(pitch) !== note) {
+                this.synth.noteOn(pitch, note.velocity);
+            }
+        }
+    }
+
+    /**
+     * @param {Object} settings synth settings to change
+     */
+    setSynthSettings = (settings) => {
+        this.synth.setSettings(settings);
+        this.setState({ synthSettings: this.synth.settings });
+    }
+
+    /**
+     * Plays a chord with the synth
+     * @param {string} symbol chord symbol
+     */
+    auditionChord = (symbol) => {
+        this.synth.playChord(getChordPitches(symbol));
+    }
+
+    /**
+     * @param {Object} settings chord lookup settings {input, inversion,
+     *      octave} to change
+     */
+    setChordLookup = (settings) => {
+        this.setState(state => ({ chordLookup: { ...state.chordLookup, ...settings } }));
+    }
+
+    /**
+     * Resolves the chord symbol typed into the chord lookup
+     * @param {Object} settings chord lookup settings
+     * @returns {Object} {result, error}, see lookupChord, both are null if
+     *      nothing was typed
+     */
+    getChordLookupResult(settings) {
+        if (settings.input.trim() === '') {
+            return { result: null, error: null };
+        }
+        try {
+            return { result: lookupChord(settings.input, settings.inversion, settings.octave), error: null };
+        } catch (error) {
+            return { result: null, error: error.message };
+        }
+    }
+
+    playLookupChord = () => {
+        const { result } = this.getChordLookupResult(this.state.chordLookup);
+        if (result) {
+            this.synth.playChord(result.pitches);
+        }
+    }
+
+    /**
+     * @param {Object} settings scale explorer settings {enabled, root, type}
+     *      to change
+     */
+    setScaleExplorer = (settings) => {
+        this.setState(state => ({ scaleExplorer: { ...state.scaleExplorer, ...settings } }));
+    }
+
+    /**
+     * @param {string|null} symbol chord suggestion to preview on the keyboard
+     */
+    setSuggestionPreview = (symbol) => {
+        this.setState({ suggestionPreview: symbol });
+    }
+
+    /**
+     * @param {number[]} pitches MIDI pitches of a suggested chord
+     */
+    playSuggestion = (pitches) => {
+        this.synth.playChord(pitches);
+    }
+
+    /**
+     * Returns the chord and voicing that chord suggestions start from, which
+     * is the current chord or, when nothing is played, the last one
+     * @param {string[]} chords ranked chord symbols of the current notes
+     * @param {Note[]} notes current notes
+     * @returns {Object} {chord, voicing} with the chord symbol or null and
+     *      the MIDI pitches of its voicing
+     */
+    getSuggestionContext(chords, notes) {
+        if (chords.length > 0) {
+            return { chord: chords[0], voicing: notes.map(d => d.pitch) };
+        }
+        const history = this.state.chordHistory;
+        const last = history[history.length - 1];
+        if (!last || last.chords.length === 0) {
+            return { chord: null, voicing: [] };
+        }
+        return { chord: last.chords[0], voicing: last.notes.map(d => d.pitch) };
+    }
+
+    /**
+     * @param {Object} rules voice-leading rules to change, see
+     *      getDefaultVoiceLeadingRules
+     */
+    setVoiceLeadingRules = (rules) => {
+        this.setState(state => ({ voiceLeadingRules: { ...state.voiceLeadingRules, ...rules } }));
+    }
+
+    onSystemPreferencesChange = () => {
+        this.setState({ systemPreferences: getSystemPreferences() });
+    }
+
+    /**
+     * Changes and stores the theme settings
+     * @param {Function} update gets the current settings and returns the
+     *      changed ones
+     */
+    updateThemeSettings(update) {
+        this.setState(state => {
+            const themeSettings = { ...state.themeSettings, ...update(state.themeSettings) };
+            saveThemeSettings(themeSettings);
+            return { themeSettings };
+        });
+    }
+
+    /**
+     * @param {string} themeId theme ID or 'auto' to follow the system
+     */
+    setThemeId = (themeId) => {
+        this.updateThemeSettings(() => ({ themeId }));
+    }
+
+    /**
+     * Creates a custom theme with the colors of the current one and selects it
+     * @param {string} name theme name
+     */
+    addCustomTheme = (name) => {
+        this.updateThemeSettings(settings => {
+            const current = resolveTheme(settings.themeId, settings.customThemes, this.state.systemPreferences);
+            const theme = createCustomTheme(name, current);
+            return {
+                themeId: theme.id,
+                customThemes: [...settings.customThemes, theme]
+            };
+        });
+    }
+
+    /**
+     * @param {string} themeId custom theme ID
+     * @param {string} color color key, see COLOR_LABELS
+     * @param {string} value CSS color
+     */
+    setCustomThemeColor = (themeId, color, value) => {
+        this.updateThemeSettings(settings => ({
+            customThemes: settings.customThemes.map(d => d.id === themeId
+                ? { ...d, colors: { ...d.colors, [color]: value } }
+                : d)
+        }));
+    }
+
+    /**
+     * @param {string} themeId custom theme ID
+     */
+    deleteCustomTheme = (themeId) => {
+        this.updateThemeSettings(settings => ({
+            themeId: settings.themeId === themeId ? 'auto' : settings.themeId,
+            customThemes: settings.customThemes.filter(d => d.id !== themeId)
+        }));
     }
 
     /**
@@ -53,6 +461,92 @@ export default class App extends Component {
 
     getMidiLiveData = () => this.state.midiLiveData;
 
+    /**
+     * Reads a MIDI file and loads it into the player
+     * @param {File} file MIDI file
+     */
+    loadMidiFile = async (file) => {
+        try {
+            const parsed = await readMidiFile(file);
+            const midiFile = {
+                ...parsed,
+                chordSegments: getChordSegments(parsed.notes)
+            };
+            this.midiFilePlayer.load(midiFile.notes, midiFile.totalTime);
+            this.setState({ midiFile, midiFileError: null });
+        } catch (error) {
+            console.error('[App] Cannot load MIDI file', error);
+            this.setState({ midiFileError: `Cannot load ${file.name}: ${error.message}` });
+        }
+    }
+
+    /**
+     * Removes the loaded MIDI file
+     */
+    unloadMidiFile = () => {
+        this.midiFilePlayer.unload();
+        this.setState({ midiFile: null, midiFileError: null });
+    }
+
+    /**
+     * Exports the recorded notes and the chords detected in them
+     * @param {string} format 'midi', 'musicxml', 'text' or 'json'
+     */
+    exportSession = (format) => {
+        const notes = getSessionNotes(this.state.midiLiveData, performance.now() / 1000);
+        if (notes.length === 0) {
+            return;
+        }
+        const bpm = 120;
+        const title = `midi-chords session ${new Date().toLocaleString()}`;
+        const segments = getChordSegments(notes);
+        if (format === 'midi') {
+            downloadFile(notesToMidiFile(notes, bpm), getSessionFileName('mid'), 'audio/midi');
+        } else if (format === 'musicxml') {
+            const xml = notesToMusicXml(notes, segments, bpm, title, this.getAnalysisKey());
+            downloadFile(xml, getSessionFileName('musicxml'), 'application/vnd.recordare.musicxml+xml');
+        } else if (format === 'text') {
+            downloadFile(chordChartToText(getChordChart(segments), title), getSessionFileName('txt'), 'text/plain');
+        } else if (format === 'json') {
+            downloadFile(chordChartToJson(getChordChart(segments), title), getSessionFileName('json'), 'application/json');
+        }
+    }
+
+    onDragOver = (event) => {
+        event.preventDefault();
+    }
+
+    /**
+     * Loads a MIDI file that is dropped anywhere on the page
+     * @param {DragEvent} event drop event
+     */
+    onDrop = (event) => {
+        event.preventDefault();
+        const file = event.dataTransfer.files[0];
+        if (file) {
+            this.loadMidiFile(file);
+        }
+    }
+
+    /**
+     * Called when the computer keyboard octave or velocity changes
+     * @param {Object} settings {octave, velocity}
+     */
+    setVirtualInputSettings = (settings) => {
+        this.setState({ virtualInputSettings: settings });
+    }
+
+    /**
+     * Plays a note when a key on the PianoKeyboard is clicked or touched
+     * @param {number} pitch MIDI pitch
+     */
+    onPianoKeyDown = (pitch) => this.virtualInput.noteOn(pitch);
+
+    /**
+     * @param {number} pitch MIDI pitch
+     */
+    onPianoKeyUp = (pitch) => this.virtualInput.noteOff(pitch);
+
     /**
      * Setter for MIDI input from an instrumetn
      * @param {Note[]} data array with notes
@@ -64,24 +558,542 @@ export default class App extends Component {
         this.setState({ midiLiveData: data });
     };
 
+    /**
+     * Estimates the key from the MIDI notes within the key detection window
+     */
+    updateEstimatedKey = () => {
+        const { midiLiveData, keyDetectionWindow, keyDetectionModes, estimatedKey } = this.state;
+        const scaleTypes = keyDetectionModes ? MODAL_SCALES : MAJOR_MINOR_SCALES;
+        const key = estimateKey(midiLiveData, performance.now() / 1000, keyDetectionWindow, scaleTypes);
+        // Avoid re-rendering when nothing changed
+        if (key === estimatedKey || (key && estimatedKey && key.name === estimatedKey.name && key.score === estimatedKey.score)) {
+            return;
+        }
+        this.setState({ estimatedKey: key });
+    }
+
+    setKeyDetectionWindow = (seconds) => {
+        this.setState({ keyDetectionWindow: seconds }, this.updateEstimatedKey);
+    }
+
+    setKeyDetectionModes = (useModes) => {
+        this.setState({ keyDetectionModes: useModes }, this.updateEstimatedKey);
+    }
+
+    /**
+     * Sets a manually chosen key for harmony analysis
+     * @param {Object|null} key key or null to use the estimated key
+     */
+    setSelectedKey = (key) => {
+        this.setState({ selectedKey: key });
+    }
+
+    /**
+     * Returns the key used for harmony analysis
+     * @returns {Object|null} the manually selected or the estimated key
+     */
+    getAnalysisKey() {
+        return this.state.selectedKey || this.state.estimatedKey;
+    }
+
     /**
      * Adds a note that is currently played (e.g. keyboard key pressed)
      * @param {Note} note a note
      */
     addCurrentNote = (note) => {
-        const newMap = new Map(this.state.currentNotes);
-        newMap.set(note.pitch, note);
-        this.setState({ currentNotes: newMap });
+        this.midiOutputRouter.noteOn(note);
+        this.setState(state => {
+            const currentNotes = new Map(state.currentNotes);
+            currentNotes.set(note.pitch, note);
+            // A re-struck note is no longer only sustained by a pedal
+            const soundingNotes = new Map(state.soundingNotes);
+            soundingNotes.delete(note.pitch);
+            const inputChannels = state.inputChannels.has(note.channel)
+                ? state.inputChannels
+                : new Set([...state.inputChannels, note.channel]);
+            return { currentNotes, soundingNotes, inputChannels };
+        }, this.onNotesChange);
     }
 
     /**
      * Removes a currently played note (e.g. keyboard key no longer pressed)
+     * If a pedal sustains the note, it is moved to the sounding notes.
      * @param {number} pitch pitch of the note to remove
      */
     removeCurrentNote = (pitch) => {
-        const newMap = new Map(this.state.currentNotes);
-        newMap.delete(pitch);
-        this.setState({ currentNotes: newMap });
+        this.midiOutputRouter.noteOff(pitch);
+        this.setState(state => {
+            const { sustainPedal, sostenutoPedal, sostenutoPitches } = state;
+            const currentNotes = new Map(state.currentNotes);
+            const note = currentNotes.get(pitch);
+            currentNotes.delete(pitch);
+            const isSustained = sustainPedal || (sostenutoPedal && sostenutoPitches.has(pitch));
+            if (!note || !isSustained) {
+                return { currentNotes };
+            }
+            const soundingNotes = new Map(state.soundingNotes);
+            soundingNotes.set(pitch, note);
+            return { currentNotes, soundingNotes };
+        }, this.onNotesChange);
+    }
+
+    /**
+     * Called after the held notes changed
+     */
+    onNotesChange = () => {
+        this.chordDetection.update();
+        this.checkQuizAnswer();
+    }
+
+    /**
+     * Called by the detection engine when the notes of the current chord
+     * changed
+     * @param {Note[]} detectedNotes notes, sorted by pitch
+     */
+    onChordDetected = (detectedNotes) => {
+        this.setState({ detectedNotes }, () => {
+            this.updateChordHistory();
+            const ranking = this.getRankedChords(detectedNotes);
+            this.midiOutputRouter.setChord(ranking.length > 0 ? ranking[0].symbol : null, detectedNotes);
+        });
+    }
+
+    /**
+     * @param {Object} settings detection settings to change
+     */
+    setDetectionSettings = (settings) => {
+        this.chordDetection.setSettings(settings);
+        this.setState({ detectionSettings: this.chordDetection.settings });
+    }
+
+    /**
+     * Handles control change messages from MIDI devices and the computer
+     * keyboard
+     * @param {number} controller controller number
+     * @param {number} value value in [0, 127]
+     * @param {number} channel channel in [0, 15]
+     */
+    onControlChange = (controller, value, channel) => {
+        this.midiOutputRouter.controlChange(controller, value, channel);
+        const isDown = value >= 64;
+        if (controller === SUSTAIN_PEDAL) {
+            this.setSustainPedal(isDown);
+        } else if (controller === SOSTENUTO_PEDAL) {
+            this.setSostenutoPedal(isDown);
+        }
+    }
+
+    /**
+     * While the sustain pedal is down, released notes keep sounding
+     * @param {boolean} isDown pedal state
+     */
+    setSustainPedal(isDown) {
+        this.setState(state => {
+            if (isDown === state.sustainPedal) {
+                return null;
+            }
+            if (isDown) {
+                return { sustainPedal: true };
+            }
+            // Only notes held by the sostenuto pedal keep sounding
+            const soundingNotes = new Map();
+            if (state.sostenutoPedal) {
+                for (let [pitch, note] of state.soundingNotes) {
+                    if (state.sostenutoPitches.has(pitch)) {
+                        soundingNotes.set(pitch, note);
+                    }
+                }
+            }
+            return { sustainPedal: false, soundingNotes };
+        }, () => this.chordDetection.update());
+    }
+
+    /**
+     * The sostenuto pedal only sustains notes that are held when it is pressed
+     * @param {boolean} isDown pedal state
+     */
+    setSostenutoPedal(isDown) {
+        this.setState(state => {
+            if (isDown === state.sostenutoPedal) {
+                return null;
+            }
+            if (isDown) {
+                return {
+                    sostenutoPedal: true,
+                    sostenutoPitches: new Set(state.currentNotes.keys())
+                };
+            }
+            return {
+                sostenutoPedal: false,
+                sostenutoPitches: new Set(),
+                soundingNotes: state.sustainPedal ? state.soundingNotes : new Map()
+            };
+        }, () => this.chordDetection.update());
+    }
+
+    /**
+     * Updates the lists of MIDI inputs and outputs, a disconnected output is
+     * no longer used
+     * @param {Object[]} midiDevices inputs, see MidiDeviceManager.getDevices
+     * @param {string|null} midiDeviceError error message
+     */
+    onMidiDevicesChange = (midiDevices, midiDeviceError) => {
+        const midiOutputs = this.midiDevices.getOutputs();
+        const { outputId } = this.midiOutputRouter.settings;
+        if (outputId !== null && !midiOutputs.some(d => d.id === outputId)) {
+            this.midiOutputRouter.setOutput(null);
+            this.midiOutputRouter.setSettings({ outputId: null });
+        }
+        this.setState({
+            midiDevices,
+            midiDeviceError,
+            midiOutputs,
+            outputSettings: this.midiOutputRouter.settings
+        });
+    }
+
+    /**
+     * @param {Object} settings MIDI output settings to change
+     */
+    setOutputSettings = (settings) => {
+        this.midiOutputRouter.setSettings(settings);
+        if (settings.outputId !== undefined) {
+            const port = settings.outputId === null ? null : this.midiDevices.getOutputPort(settings.outputId);
+            this.midiOutputRouter.setOutput(port ? new MidiOutput(port) : null);
+        }
+        this.setState({ outputSettings: this.midiOutputRouter.settings });
+    }
+
+    /**
+     * Enables or disables a MIDI input, notes held on a disabled input are
+     * released
+     * @param {string} inputId input id
+     * @param {boolean} enabled enabled
+     */
+    setMidiInputEnabled = (inputId, enabled) => {
+        this.midiDevices.setInputEnabled(inputId, enabled);
+        if (!enabled) {
+            this.midiNoteInput.releaseNotes(inputId);
+        }
+    }
+
+    /**
+     * Enables or disables a channel of a MIDI input, notes held on a disabled
+     * channel are released
+     * @param {string} inputId input id
+     * @param {number} channel channel in [0, 15]
+     * @param {boolean} enabled enabled
+     */
+    setMidiChannelEnabled = (inputId, channel, enabled) => {
+        this.midiDevices.setChannelEnabled(inputId, channel, enabled);
+        if (!enabled) {
+            this.midiNoteInput.releaseNotes(inputId, channel);
+        }
+    }
+
+    /**
+     * Splits the keyboard: notes below the split pitch are played by the left
+     * hand, only the lowest of them is used as bass of the chord
+     * @param {number|null} splitPitch split pitch or null for no split
+     */
+    setSplitPitch = (splitPitch) => {
+        this.setState({ splitPitch }, () => this.chordDetection.update());
+    }
+
+    setIncludeSoundingNotes = (include) => {
+        this.setState({ includeSoundingNotes: include }, () => this.chordDetection.update());
+    }
+
+    /**
+     * Returns the notes used for chord detection, sorted by pitch: the held
+     * notes and, if enabled, the notes sustained by pedals.
+     * With a keyboard split, only the lowest left hand note is used.
+     * @param {Object} state app state
+     * @returns {Note[]} notes
+     */
+    getChordDetectionNotes(state = this.state) {
+        const notes = new Map(state.currentNotes);
+        if (state.includeSoundingNotes) {
+            for (let [pitch, note] of state.soundingNotes) {
+                if (!notes.has(pitch)) {
+                    notes.set(pitch, note);
+                }
+            }
+        }
+        const sorted = Array.from(notes.values())
+            .sort((a, b) => a.pitch - b.pitch);
+        if (state.splitPitch === null) {
+            return sorted;
+        }
+        const leftHand = sorted.filter(d => d.pitch < state.splitPitch);
+        const rightHand = sorted.filter(d => d.pitch >= state.splitPitch);
+        return leftHand.length > 0 ? [leftHand[0], ...rightHand] : rightHand;
+    }
+
+    /**
+     * Returns the notes of the shown chord: the chord reported by the
+     * detection engine and, while playing or scrubbing, the notes at the
+     * playhead of the MIDI file player
+     * @param {Object} state app state
+     * @returns {Note[]} notes, sorted by pitch
+     */
+    getDisplayedChordNotes(state = this.state) {
+        const notes = new Map(this.getActivePlaybackNotes(state));
+        for (let note of state.detectedNotes) {
+            notes.set(note.pitch, note);
+        }
+        return Array.from(notes.values())
+            .sort((a, b) => a.pitch - b.pitch);
+    }
+
+    /**
+     * Appends the chord reported by the detection engine to the chord
+     * history, if it differs from the most recently detected one.
+     * MIDI file playback is not recorded.
+     */
+    updateChordHistory = () => {
+        const notes = this.state.detectedNotes;
+        const chords = this.getRankedChords(notes).map(d => d.symbol);
+        if (chords.length === 0) {
+            return;
+        }
+        this.setState(state => {
+            const history = state.chordHistory;
+            const last = history[history.length - 1];
+            // The ranking may change with context, so compare as sets
+            if (last && [...last.chords].sort().join() === [...chords].sort().join()) {
+                return null;
+            }
+            const entry = {
+                time: performance.now() / 1000,
+                chords,
+                notes
+            };
+            return { chordHistory: [...history, entry] };
+        });
+    }
+
+    /**
+     * Selects a chord from the history to show its notes on the keyboard
+     * @param {Object|null} chord chord history entry or null to deselect
+     */
+    selectChord = (chord) => {
+        this.setState({ selectedChord: chord });
+    }
+
+    clearChordHistory = () => {
+        this.setState({ chordHistory: [], selectedChord: null });
+    }
+
+    /**
+     * Reads the list of stored sessions
+     */
+    refreshSessions = async () => {
+        try {
+            const sessions = await listSessions();
+            this.setState({ sessions });
+        } catch (error) {
+            console.error('[App] Cannot list sessions', error);
+            this.setState({ sessionError: `Sessions cannot be stored: ${error.message}` });
+        }
+    }
+
+    startRecording = async () => {
+        const name = `Session ${new Date().toLocaleString()}`;
+        this.recordingStart = performance.now() / 1000;
+        try {
+            const session = createSession(name);
+            const id = await saveSession(session);
+            this.setState({ recordingSession: { ...session, id }, sessionError: null });
+            this.autosaveInterval = setInterval(this.saveRecording, AUTOSAVE_INTERVAL);
+            this.refreshSessions();
+        } catch (error) {
+            console.error('[App] Cannot start recording', error);
+            this.setState({ sessionError: `Cannot start recording: ${error.message}` });
+        }
+    }
+
+    /**
+     * Saves the notes and chords recorded since the recording start
+     */
+    saveRecording = async () => {
+        const { recordingSession, midiLiveData, chordHistory } = this.state;
+        if (!recordingSession) {
+            return;
+        }
+        const now = performance.now() / 1000;
+        const session = captureSession(recordingSession, this.recordingStart, midiLiveData, chordHistory, now);
+        try {
+            await saveSession(session);
+        } catch (error) {
+            console.error('[App] Cannot save recording', error);
+            this.setState({ sessionError: `Cannot save recording: ${error.message}` });
+        }
+    }
+
+    stopRecording = async () => {
+        clearInterval(this.autosaveInterval);
+        await this.saveRecording();
+        this.setState({ recordingSession: null });
+        this.refreshSessions();
+    }
+
+    onVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') {
+            this.saveRecording();
+        }
+    }
+
+    /**
+     * Replaces the recorded notes and chord history with a stored session,
+     * a running recording is stopped first
+     * @param {number} id session id
+     */
+    loadStoredSession = async (id) => {
+        if (this.state.recordingSession) {
+            await this.stopRecording();
+        }
+        try {
+            const session = await loadSession(id);
+            if (!session) {
+                throw new Error('Session not found');
+            }
+            const { midiLiveData, chordHistory } = restoreSession(session, performance.now() / 1000);
+            this.setMidiLiveData(midiLiveData);
+            this.setState({ chordHistory, selectedChord: null, loadedSessionId: id, sessionError: null });
+        } catch (error) {
+            console.error('[App] Cannot load session', error);
+            this.setState({ sessionError: `Cannot load session: ${error.message}` });
+        }
+    }
+
+    /**
+     * @param {number} id session id
+     * @param {string} name new name
+     */
+    renameStoredSession = async (id, name) => {
+        try {
+            const session = await loadSession(id);
+            await saveSession({ ...session, name });
+            if (this.state.recordingSession && this.state.recordingSession.id === id) {
+                this.setState(state => ({ recordingSession: { ...state.recordingSession, name } }));
+            }
+            this.refreshSessions();
+        } catch (error) {
+            console.error('[App] Cannot rename session', error);
+            this.setState({ sessionError: `Cannot rename session: ${error.message}` });
+        }
+    }
+
+    /**
+     * @param {number} id session id
+     */
+    deleteStoredSession = async (id) => {
+        try {
+            await deleteSession(id);
+            this.refreshSessions();
+        } catch (error) {
+            console.error('[App] Cannot delete session', error);
+            this.setState({ sessionError: `Cannot delete session: ${error.message}` });
+        }
+    }
+
+    /**
+     * Downloads a stored session as JSON
+     * @param {number} id session id
+     */
+    exportStoredSession = async (id) => {
+        try {
+            const session = await loadSession(id);
+            const fileName = `${session.name.replace(/[^\w-]+/g, '_')}.json`;
+            downloadFile(sessionToJson(session), fileName, 'application/json');
+        } catch (error) {
+            console.error('[App] Cannot export session', error);
+            this.setState({ sessionError: `Cannot export session: ${error.message}` });
+        }
+    }
+
+    /**
+     * Stores a session from a JSON file
+     * @param {File} file JSON file
+     */
+    importStoredSession = async (file) => {
+        try {
+            const session = parseSessionJson(await file.text());
+            await saveSession(session);
+            this.setState({ sessionError: null });
+            this.refreshSessions();
+        } catch (error) {
+            console.error('[App] Cannot import session', error);
+            this.setState({ sessionError: `Cannot import ${file.name}: ${error.message}` });
+        }
+    }
+
+    startQuiz = () => {
+        this.setState({ quizActive: true }, this.nextQuizQuestion);
+    }
+
+    stopQuiz = () => {
+        clearTimeout(this.quizTimeout);
+        this.setState({ quizActive: false, quizQuestion: null, quizSolved: false });
+    }
+
+    /**
+     * Asks the next chord, an unsolved question counts as skipped
+     */
+    nextQuizQuestion = () => {
+        clearTimeout(this.quizTimeout);
+        const { quizQuestion, quizSolved, quizSettings, quizStats } = this.state;
+        let stats = quizStats;
+        if (quizQuestion && !quizSolved) {
+            stats = addResultToStats(stats, quizQuestion, false);
+            saveQuizStats(stats);
+        }
+        const question = createQuestion(quizSettings, quizQuestion);
+        this.setState({ quizQuestion: question, quizSolved: false, quizStats: stats }, () => {
+            if (question && quizSettings.earTraining) {
+                this.playQuizChord();
+            }
+        });
+    }
+
+    playQuizChord = () => {
+        const { quizQuestion } = this.state;
+        if (quizQuestion) {
+            this.synth.playChord(quizQuestion.pitches);
+        }
+    }
+
+    /**
+     * Checks the held notes against the quiz question, a solved question
+     * is followed by the next one after a short delay
+     */
+    checkQuizAnswer() {
+        const { quizActive, quizQuestion, quizSolved, currentNotes, quizStats } = this.state;
+        if (!quizActive || !quizQuestion || quizSolved || currentNotes.size === 0) {
+            return;
+        }
+        const result = checkAnswer(quizQuestion, [...currentNotes.keys()]);
+        if (result.isCorrect) {
+            const stats = addResultToStats(quizStats, quizQuestion, true);
+            saveQuizStats(stats);
+            this.setState({ quizSolved: true, quizStats: stats });
+            this.quizTimeout = setTimeout(this.nextQuizQuestion, 1500);
+        } else if (result.wrong.size > 0 && !quizQuestion.hadMistake) {
+            this.setState({ quizQuestion: { ...quizQuestion, hadMistake: true } });
+        }
+    }
+
+    /**
+     * @param {Object} settings quiz settings to change
+     */
+    setQuizSettings = (settings) => {
+        this.setState(state => ({ quizSettings: { ...state.quizSettings, ...settings } }));
+    }
+
+    resetQuizStats = () => {
+        saveQuizStats({});
+        this.setState({ quizStats: {} });
     }
 
     /**
@@ -91,20 +1103,78 @@ export default class App extends Component {
      * @returns {String[]} possible chord types
      */
     getChordName(notes) {
-        const noteLetters = notes.map(d => d.getLetter());
-        return Chord.detect(noteLetters);
+        return detectChords(notes);
+    }
+
+    /**
+     * Ranks the detected chords by bass note, voicing, the analysis key and
+     * the chords played before
+     * @param {Note[]} notes notes, sorted by pitch
+     * @returns {Object[]} ranking, see rankChords
+     */
+    getRankedChords(notes) {
+        const candidates = this.getChordName(notes);
+        const history = this.state.chordHistory;
+        // Do not count the current chord as its own context
+        const sameChords = [...candidates].sort().join();
+        const context = history.length > 0 && [...history[history.length - 1].chords].sort().join() === sameChords
+            ? history.slice(0, -1)
+            : history;
+        const recentChords = context.slice(-4).map(d => d.chords[0]);
+        return rankChords(candidates, notes, this.getAnalysisKey(), recentChords);
     }
 
     render() {
         const s = this.state;
-        const notes = Array.from(s.currentNotes.values())
-            .sort((a, b) => a.pitch - b.pitch);
+        const notes = this.getDisplayedChordNotes(s);
         // const chord = getChordType(notes);
         // console.log(chord);
-        const chord2 = this.getChordName(notes);
-        console.log(chord2);
+        const ranking = this.getRankedChords(notes);
+        const chord2 = ranking.map(d => d.symbol);
+        const voicing = analyzeVoicing(notes, chord2[0]);
+        const analysisKey = this.getAnalysisKey();
+        const quizResult = s.quizActive && s.quizQuestion && s.currentNotes.size > 0
+            ? checkAnswer(s.quizQuestion, [...s.currentNotes.keys()])
+            : null;
+        if (quizResult && s.quizSettings.earTraining && !s.quizSolved) {
+            // Do not give away the chord
+            quizResult.missing = new Set();
+        }
+        const chordLookup = this.getChordLookupResult(s.chordLookup);
+        let highlightedNotes = [];
+        if (s.selectedChord) {
+            highlightedNotes = s.selectedChord.notes;
+        } else if (chordLookup.result) {
+            highlightedNotes = chordLookup.result.pitches.map(d => new Note(d, 0, 90));
+        }
+        const scale = s.scaleExplorer.enabled
+            ? getScaleOverlay(s.scaleExplorer.root, s.scaleExplorer.type)
+            : null;
+        const heldNotes = [...s.currentNotes.values()].sort((a, b) => a.pitch - b.pitch);
+        const outOfScaleNotes = scale
+            ? heldNotes.filter(d => !scale.pitchClasses.has(d.pitch % 12))
+            : [];
+        const matchingScales = findScalesContaining(
+            new Set(heldNotes.map(d => d.pitch % 12)),
+            heldNotes.length > 0 ? heldNotes[0].pitch % 12 : null
+        );
+        const suggestionContext = this.getSuggestionContext(chord2, notes);
+        const suggestions = suggestionContext.chord
+            ? suggestNextChords(suggestionContext.chord, analysisKey, suggestionContext.voicing)
+            : [];
+        const previewedSuggestion = suggestions.find(d => d.symbol === s.suggestionPreview);
+        const [lastTransition = null] = analyzeProgression(s.chordHistory.slice(-2), s.voiceLeadingRules);
+        const theme = resolveTheme(s.themeSettings.themeId, s.themeSettings.customThemes, s.systemPreferences);
+        const numerals = analysisKey
+            ? chord2.map(d => ({ chord: d, analysis: analyzeChord(d, analysisKey) }))
+                .filter(d => d.analysis !== null)
+            : [];
         return (
-            <div className={`App dark`} >
+            <div
+                className='App'
+                onDragOver={this.onDragOver}
+                onDrop={this.onDrop}
+            >
                 <div className='chordInfo'>
                     <div>
                         {Array.from(notes)
@@ -115,20 +1185,219 @@ export default class App extends Component {
                         Type: {chord.name}
                     </div> */}
                     <div>
-                        Chord name: {chord2.join(', ')}
+                        Chord name: {chord2.map((d, i) => (
+                            <button
+                                key={d}
+                                className={i === 0 ? 'chordButton best' : 'chordButton alternative'}
+                                title='Listen to this chord'
+                                onClick={() => this.auditionChord(d)}
+                            >
+                                {d}
+                            </button>
+                        ))}
+                    </div>
+                    <div className='rankingExplanation'>
+                        {explainRanking(ranking)}
+                    </div>
+                    <div>
+                        {analysisKey && numerals.length > 0 && (
+                            <span>
+                                In {analysisKey.name}: {numerals
+                                    .map(d => `${d.analysis.numeral} (${d.analysis.description})`)
+                                    .join(', ')}
+                            </span>
+                        )}
                     </div>
                 </div>
+                <ChordLookupPanel
+                    settings={s.chordLookup}
+                    result={chordLookup.result}
+                    error={chordLookup.error}
+                    canPlay={s.synthSettings.enabled && Boolean(window.AudioContext || window.webkitAudioContext)}
+                    setSettings={this.setChordLookup}
+                    play={this.playLookupChord}
+                />
+                <ChordSuggestionPanel
+                    chord={suggestionContext.chord}
+                    keyName={analysisKey ? analysisKey.name : null}
+                    suggestions={suggestions}
+                    previewSymbol={s.suggestionPreview}
+                    canPlay={s.synthSettings.enabled && Boolean(window.AudioContext || window.webkitAudioContext)}
+                    setPreview={this.setSuggestionPreview}
+                    play={this.playSuggestion}
+                />
+                <VoiceLeadingPanel
+                    rules={s.voiceLeadingRules}
+                    transition={lastTransition}
+                    setRules={this.setVoiceLeadingRules}
+                />
+                <ScaleExplorerPanel
+                    settings={s.scaleExplorer}
+                    scale={scale}
+                    outOfScaleNotes={outOfScaleNotes}
+                    matchingScales={matchingScales}
+                    setSettings={this.setScaleExplorer}
+                />
+                <QuizPanel
+                    isActive={s.quizActive}
+                    question={s.quizQuestion}
+                    result={quizResult}
+                    isSolved={s.quizSolved}
+                    settings={s.quizSettings}
+                    stats={s.quizStats}
+                    setSettings={this.setQuizSettings}
+                    resetStats={this.resetQuizStats}
+                    start={this.startQuiz}
+                    stop={this.stopQuiz}
+                    skip={this.nextQuizQuestion}
+                    listen={this.playQuizChord}
+                />
+                <VoicingPanel
+                    voicing={voicing}
+                />
+                <SynthPanel
+                    settings={s.synthSettings}
+                    setSettings={this.setSynthSettings}
+                />
+                <PedalPanel
+                    sustainPedal={s.sustainPedal}
+                    sostenutoPedal={s.sostenutoPedal}
+                    includeSoundingNotes={s.includeSoundingNotes}
+                    setIncludeSoundingNotes={this.setIncludeSoundingNotes}
+                />
+                <MidiInputPanel
+                    isSupported={this.midiDevices !== null}
+                    devices={s.midiDevices}
+                    error={s.midiDeviceError}
+                    setInputEnabled={this.setMidiInputEnabled}
+                    setChannelEnabled={this.setMidiChannelEnabled}
+                    splitPitch={s.splitPitch}
+                    setSplitPitch={this.setSplitPitch}
+                />
+                <MidiOutputPanel
+                    isSupported={this.midiDevices !== null}
+                    outputs={s.midiOutputs}
+                    settings={s.outputSettings}
+                    inputChannels={s.inputChannels}
+                    setSettings={this.setOutputSettings}
+                />
+                <DetectionPanel
+                    settings={s.detectionSettings}
+                    setSettings={this.setDetectionSettings}
+                />
+                <ExportPanel
+                    noteCount={s.midiLiveData.length}
+                    exportSession={this.exportSession}
+                />
+                <SessionPanel
+                    sessions={s.sessions}
+                    recordingSession={s.recordingSession}
+                    loadedSessionId={s.loadedSessionId}
+                    error={s.sessionError}
+                    startRecording={this.startRecording}
+                    stopRecording={this.stopRecording}
+                    loadSession={this.loadStoredSession}
+                    renameSession={this.renameStoredSession}
+                    deleteSession={this.deleteStoredSession}
+                    exportSession={this.exportStoredSession}
+                    importSession={this.importStoredSession}
+                />
+                <ThemePanel
+                    settings={s.themeSettings}
+                    theme={theme}
+                    setThemeId={this.setThemeId}
+                    addTheme={this.addCustomTheme}
+                    setColor={this.setCustomThemeColor}
+                    deleteTheme={this.deleteCustomTheme}
+                />
+                <KeyDetectionPanel
+                    estimatedKey={s.estimatedKey}
+                    selectedKey={s.selectedKey}
+                    setSelectedKey={this.setSelectedKey}
+                    windowSize={s.keyDetectionWindow}
+                    useModes={s.keyDetectionModes}
+                    setWindowSize={this.setKeyDetectionWindow}
+                    setUseModes={this.setKeyDetectionModes}
+                />
                 <div className='explanation'>
                     <span>
                         <FontAwesomeIcon icon={faInfoCircle} />&nbsp;
                         Connect a MIDI device and play some notes to see the chord type.
+                        Without a MIDI device, click the keys below or use the
+                        computer keyboard (A to &apos; and W to P, Z / X change the octave,
+                        C / V the velocity, space is the sustain pedal).
                     </span>
+                    <p>
+                        Computer keyboard octave: {s.virtualInputSettings.octave},
+                        velocity: {s.virtualInputSettings.velocity}
+                    </p>
                 </div>
                 <PianoKeyboard
                     name='Piano Keyboard'
                     viewSize={s.viewSize}
-                    theme='dark'
+                    theme={theme}
+                    midiLiveData={s.midiLiveData}
                     currentNotes={s.currentNotes}
+                    soundingNotes={s.soundingNotes}
+                    playbackNotes={this.getActivePlaybackNotes(s)}
+                    quizResult={quizResult}
+                    noteLabels={voicing ? voicing.roles : null}
+                    highlightedNotes={highlightedNotes}
+                    scalePitchClasses={analysisKey ? analysisKey.pitchClasses : null}
+                    scale={scale}
+                    ghostNotes={previewedSuggestion || null}
+                    onKeyDown={this.onPianoKeyDown}
+                    onKeyUp={this.onPianoKeyUp}
+                />
+                <Fretboard
+                    name='Fretboard'
+                    viewSize={s.viewSize}
+                    theme={theme}
+                    currentNotes={new Map(notes.map(d => [d.pitch, d]))}
+                    chord={chord2.length > 0 ? chord2[0] : null}
+                />
+                <HarmonySpace
+                    name='Harmony Space'
+                    viewSize={s.viewSize}
+                    theme={theme}
+                    currentNotes={new Map(notes.map(d => [d.pitch, d]))}
+                    chord={chord2.length > 0 ? chord2[0] : null}
+                    chordHistory={s.chordHistory}
+                    analysisKey={analysisKey}
+                />
+                <VoiceLeadingView
+                    name='Voice Leading'
+                    viewSize={s.viewSize}
+                    theme={theme}
+                    chordHistory={s.chordHistory}
+                    rules={s.voiceLeadingRules}
+                />
+                <PianoRoll
+                    name='Piano Roll'
+                    viewSize={s.viewSize}
+                    theme={theme}
+                    midiLiveData={s.midiLiveData}
+                />
+                <ChordHistory
+                    name='Chord History'
+                    viewSize={s.viewSize}
+                    theme={theme}
+                    chordHistory={s.chordHistory}
+                    selectedChord={s.selectedChord}
+                    analysisKey={analysisKey}
+                    onSelectChord={this.selectChord}
+                    clearChordHistory={this.clearChordHistory}
+                />
+                <MidiFileTimeline
+                    name='MIDI File'
+                    viewSize={s.viewSize}
+                    theme={theme}
+                    midiFile={s.midiFile}
+                    loadError={s.midiFileError}
+                    player={this.midiFilePlayer}
+                    playbackState={s.playbackState}
+                    onLoadFile={this.loadMidiFile}
+                    onUnloadFile={this.unloadMidiFile}
                 />
                 <div className='githubLink'>
                     <p>
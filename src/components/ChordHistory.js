@@ -0,0 +1,190 @@
+import React from 'react';
+import View from '../lib/ui/View';
+import { scaleLinear } from 'd3-scale';
+import { setupCanvas, drawCurrentTimeIndicator, drawRowBands } from '../lib/ui/Graphics';
+import { Midi } from 'musicvis-lib';
+import { analyzeChord } from '../lib/harmony/RomanNumerals';
+
+export default class ChordHistory extends View {
+
+    constructor(props) {
+        const margin = { top: 40, right: 20, bottom: 10, left: 40 };
+        super(props, margin, 1, 1, true, false);
+        this.state = {
+            ...this.state,
+            // Number of seconds visible at once
+            timeWindow: 20,
+            paused: false,
+            pausedTime: 0
+        };
+        this.analysisCache = new Map();
+    }
+
+    componentDidMount() {
+        this.initialize();
+        this.animationFrame = requestAnimationFrame(this.draw);
+    }
+
+    componentWillUnmount() {
+        cancelAnimationFrame(this.animationFrame);
+    }
+
+    componentDidUpdate() {
+        this.resizeComponent();
+    }
+
+    onResize = () => this.initialize();
+
+    initialize = () => {
+        this.ctx = setupCanvas(this.canvas);
+    }
+
+    /**
+     * Returns the time in seconds that is currently shown at the right-most
+     * position, uses the same time base as the MIDI notes
+     * @returns {number} time in seconds
+     */
+    getCurrentTime = () => this.state.paused ? this.state.pausedTime : performance.now() / 1000;
+
+    /**
+     * Returns the x scale for the currently visible time range
+     * @returns {Function} D3 linear scale
+     */
+    getXScale = () => {
+        const { width, timeWindow } = this.state;
+        const now = this.getCurrentTime();
+        return scaleLinear()
+            .domain([now - timeWindow * 0.9, now + timeWindow * 0.1])
+            .range([0, width]);
+    }
+
+    /**
+     * Redraws the timeline, called in each animation frame so the timeline
+     * keeps scrolling even without new input
+     */
+    draw = () => {
+        this.animationFrame = requestAnimationFrame(this.draw);
+        const ctx = this.ctx;
+        if (!ctx) {
+            return;
+        }
+        const { viewWidth, viewHeight, width, height, margin } = this.state;
+        const { chordHistory, selectedChord, analysisKey, theme } = this.props;
+        const { colors } = theme;
+        const x = this.getXScale();
+        const now = this.getCurrentTime();
+        const rowHeight = height / 12;
+        ctx.clearRect(0, 0, viewWidth, viewHeight);
+        // One row per pitch class
+        drawRowBands(ctx, margin, 12, rowHeight, width, colors.rowBand);
+        ctx.fillStyle = colors.canvasMutedText;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let pc = 0; pc < 12; pc++) {
+            const y = margin.top + (11 - pc + 0.5) * rowHeight;
+            ctx.fillText(Midi.NOTE_NAMES[pc], margin.left - 6, y);
+        }
+        // Chords
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(margin.left, 0, width, viewHeight);
+        ctx.clip();
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        for (let i = 0; i < chordHistory.length; i++) {
+            const chord = chordHistory[i];
+            const end = i < chordHistory.length - 1 ? chordHistory[i + 1].time : now;
+            const startX = margin.left + x(chord.time);
+            const endX = margin.left + x(end);
+            if (endX < margin.left || startX > margin.left + width) {
+                continue;
+            }
+            const isSelected = chord === selectedChord;
+            ctx.fillStyle = isSelected ? colors.selection : colors.rowBand;
+            ctx.fillRect(startX, margin.top, endX - startX - 1, height);
+            ctx.fillStyle = isSelected ? colors.selectedNote : colors.note;
+            const pitchClasses = new Set(chord.notes.map(d => d.pitch % 12));
+            for (let pc of pitchClasses) {
+                const y = margin.top + (11 - pc) * rowHeight;
+                ctx.fillRect(startX, y + 1, endX - startX - 1, rowHeight - 2);
+            }
+            ctx.fillStyle = colors.canvasText;
+            ctx.fillText(chord.chords[0], startX + 2, margin.top - 18);
+            // Roman numeral in the current analysis key
+            const analysis = analysisKey ? this.getAnalysis(chord.chords[0], analysisKey) : null;
+            if (analysis) {
+                ctx.fillStyle = colors.canvasMutedText;
+                ctx.fillText(analysis.numeral, startX + 2, margin.top - 4);
+            }
+        }
+        ctx.restore();
+        drawCurrentTimeIndicator(ctx, now, x, height, margin, colors.canvasText);
+    }
+
+    /**
+     * Returns the Roman numeral analysis of a chord, cached since the
+     * timeline is redrawn in every frame
+     * @param {string} symbol chord symbol
+     * @param {Object} key analysis key
+     * @returns {Object|null} analysis, see analyzeChord
+     */
+    getAnalysis(symbol, key) {
+        const cacheKey = `${symbol} ${key.name}`;
+        if (!this.analysisCache.has(cacheKey)) {
+            this.analysisCache.set(cacheKey, analyzeChord(symbol, key));
+        }
+        return this.analysisCache.get(cacheKey);
+    }
+
+    /**
+     * Selects the chord that was active at the clicked time
+     * @param {MouseEvent} event click event
+     */
+    onClick = (event) => {
+        const { chordHistory, onSelectChord } = this.props;
+        const { margin } = this.state;
+        const rect = this.canvas.getBoundingClientRect();
+        const time = this.getXScale().invert(event.clientX - rect.left - margin.left);
+        let clicked = null;
+        for (let chord of chordHistory) {
+            if (chord.time > time) {
+                break;
+            }
+            clicked = chord;
+        }
+        // Clicking a selected chord again deselects it
+        onSelectChord(clicked === this.props.selectedChord ? null : clicked);
+    }
+
+    togglePaused = () => {
+        this.setState({
+            paused: !this.state.paused,
+            pausedTime: performance.now() / 1000
+        });
+    }
+
+    render() {
+        const { rowSpan, columnSpan, viewWidth, viewHeight, paused } = this.state;
+        return (
+            <div
+                className='View ChordHistory'
+                style={{ gridArea: `span ${rowSpan} / span ${columnSpan}` }}
+            >
+                <canvas
+                    ref={n => this.canvas = n}
+                    style={{ width: viewWidth, height: viewHeight }}
+                    onClick={this.onClick}
+                />
+                <div className='viewControls'>
+                    <button onClick={this.togglePaused}>
+                        {paused ? 'Resume' : 'Pause'}
+                    </button>
+                    <button onClick={this.props.clearChordHistory}>
+                        Clear
+                    </button>
+                </div>
+                {this.getSizeControlHTML()}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,87 @@
+import React, { PureComponent } from 'react';
+
+const INVERSION_NAMES = ['root position', '1st inversion', '2nd inversion', '3rd inversion', '4th inversion', '5th inversion', '6th inversion'];
+
+/**
+ * Reverse chord lookup: shows the notes, intervals and formula of a typed
+ * chord symbol, the notes are highlighted on the keyboard
+ */
+export default class ChordLookupPanel extends PureComponent {
+
+    onSubmit = (e) => {
+        e.preventDefault();
+        const { result, canPlay, play } = this.props;
+        if (result && canPlay) {
+            play();
+        }
+    }
+
+    render() {
+        const { settings, result, error, canPlay, setSettings, play } = this.props;
+        const inversionCount = result ? result.chord.notes.length : 4;
+        return (
+            <div className='ChordLookupPanel'>
+                <form onSubmit={this.onSubmit}>
+                    <input
+                        type='text'
+                        className={error ? 'invalid' : ''}
+                        placeholder='Look up a chord, e.g. F#m7b5/C'
+                        title='Type a chord symbol to see its notes, press enter to listen'
+                        value={settings.input}
+                        onChange={e => setSettings({ input: e.target.value })}
+                    />
+                    <select
+                        value={Math.min(settings.inversion, inversionCount - 1)}
+                        onChange={e => setSettings({ inversion: +e.target.value })}
+                    >
+                        {INVERSION_NAMES.slice(0, inversionCount).map((d, i) => (
+                            <option key={d} value={i}>{d}</option>
+                        ))}
+                    </select>
+                    <label>
+                        Octave
+                        <input
+                            type='number'
+                            min={1}
+                            max={7}
+                            value={settings.octave}
+                            onChange={e => setSettings({ octave: Math.max(1, Math.min(7, +e.target.value)) })}
+                        />
+                    </label>
+                    <button
+                        type='button'
+                        onClick={play}
+                        disabled={!result || !canPlay}
+                        title={canPlay ? 'Listen to this chord' : 'Sound is turned off or not supported'}
+                    >
+                        Play
+                    </button>
+                    {settings.input !== '' && (
+                        <button
+                            type='button'
+                            onClick={() => setSettings({ input: '' })}
+                        >
+                            Clear
+                        </button>
+                    )}
+                </form>
+                {error && (
+                    <div className='error'>{error}</div>
+                )}
+                {result && (
+                    <div className='result'>
+                        <div>
+                            <b>{result.symbol}</b> ({result.chord.name || result.chord.type}): {result.noteNames.join(' ')}
+                        </div>
+                        <div>
+                            Formula: {result.formula}
+                        </div>
+                        <div>
+                            Intervals: {result.intervals.map(d => `${d.note} (${d.name})`).join(', ')}
+                        </div>
+                    </div>
+                )}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,60 @@
+import React, { PureComponent } from 'react';
+import { Midi } from 'musicvis-lib';
+
+/**
+ * Returns the name of a MIDI pitch with octave, e.g. C4
+ * @param {number} pitch MIDI pitch
+ * @returns {string} name
+ */
+function getPitchName(pitch) {
+    return Midi.getMidiNoteByNr(pitch).label;
+}
+
+/**
+ * Suggests chords that can come next, hovering a suggestion previews its
+ * notes on the keyboard, clicking it plays it
+ */
+export default class ChordSuggestionPanel extends PureComponent {
+
+    render() {
+        const { chord, keyName, suggestions, previewSymbol, canPlay, setPreview, play } = this.props;
+        if (!chord || suggestions.length === 0) {
+            return null;
+        }
+        const preview = suggestions.find(d => d.symbol === previewSymbol);
+        return (
+            <div className='ChordSuggestionPanel'>
+                <div>
+                    After {chord}{keyName ? ` in ${keyName}` : ''}: {suggestions.map(d => (
+                        <button
+                            key={d.symbol}
+                            className={`chordButton ${d.category.replace(/ /g, '-')}`}
+                            title={`${d.category}${d.description !== d.category ? `, ${d.description}` : ''}${canPlay ? ', click to listen' : ''}`}
+                            onMouseEnter={() => setPreview(d.symbol)}
+                            onMouseLeave={() => setPreview(null)}
+                            onFocus={() => setPreview(d.symbol)}
+                            onBlur={() => setPreview(null)}
+                            onClick={() => canPlay && play(d.pitches)}
+                        >
+                            {d.symbol} <span className='numeral'>{d.numeral}</span>
+                        </button>
+                    ))}
+                </div>
+                {preview && (
+                    <div className='voiceLeading'>
+                        {preview.symbol}: {preview.pitches.map(getPitchName).join(' ')}
+                        {preview.commonTones.length > 0 && (
+                            <span> | common tones: {preview.commonTones.map(getPitchName).join(' ')}</span>
+                        )}
+                        {preview.moves.length > 0 && (
+                            <span> | moves: {preview.moves
+                                .map(d => `${getPitchName(d.from)}→${getPitchName(d.to)} (${d.to > d.from ? '+' : ''}${d.to - d.from})`)
+                                .join(', ')}, {preview.movement} semitones in total
+                            </span>
+                        )}
+                    </div>
+                )}
+            </div>
+        );
+    }
+}
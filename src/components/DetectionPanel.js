@@ -0,0 +1,49 @@
+import React, { PureComponent } from 'react';
+
+/**
+ * Settings for the chord detection engine: block chords or arpeggios and the
+ * time windows in which notes are grouped
+ */
+export default class DetectionPanel extends PureComponent {
+
+    render() {
+        const { settings, setSettings } = this.props;
+        return (
+            <div className='DetectionPanel'>
+                <label title='Block chords use the held notes, arpeggio mode also uses recently released notes'>
+                    Detect
+                    <select
+                        value={settings.mode}
+                        onChange={e => setSettings({ mode: e.target.value })}
+                    >
+                        <option value='block'>block chords</option>
+                        <option value='arpeggio'>arpeggios</option>
+                    </select>
+                </label>
+                <label title='Notes played within this time are grouped into one chord'>
+                    Onset window (ms)
+                    <input
+                        type='number'
+                        min={0}
+                        max={500}
+                        step={10}
+                        value={settings.onsetWindow}
+                        onChange={e => setSettings({ onsetWindow: Math.max(0, Math.min(500, +e.target.value)) })}
+                    />
+                </label>
+                <label title='Released notes that started within this time still count in arpeggio mode'>
+                    Arpeggio window (s)
+                    <input
+                        type='number'
+                        min={0.2}
+                        max={10}
+                        step={0.1}
+                        value={settings.arpeggioWindow}
+                        disabled={settings.mode !== 'arpeggio'}
+                        onChange={e => setSettings({ arpeggioWindow: Math.max(0.2, Math.min(10, +e.target.value)) })}
+                    />
+                </label>
+            </div>
+        );
+    }
+}
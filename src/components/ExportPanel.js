@@ -0,0 +1,36 @@
+import React, { PureComponent } from 'react';
+
+/**
+ * Export formats with their button labels
+ */
+const FORMATS = [
+    { format: 'midi', label: 'MIDI', title: 'Standard MIDI File with all recorded notes' },
+    { format: 'musicxml', label: 'MusicXML', title: 'Lead sheet with melody and chord symbols' },
+    { format: 'text', label: 'Chord chart', title: 'Plain text chord chart' },
+    { format: 'json', label: 'JSON', title: 'Chord chart as JSON' }
+];
+
+/**
+ * Buttons to export the recorded notes and chords
+ */
+export default class ExportPanel extends PureComponent {
+
+    render() {
+        const { noteCount, exportSession } = this.props;
+        return (
+            <div className='ExportPanel'>
+                Export session ({noteCount} notes):
+                {FORMATS.map(d => (
+                    <button
+                        key={d.format}
+                        title={d.title}
+                        disabled={noteCount === 0}
+                        onClick={() => exportSession(d.format)}
+                    >
+                        {d.label}
+                    </button>
+                ))}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,253 @@
+import React from 'react';
+import View from '../lib/ui/View';
+import { Guitar, Midi } from 'musicvis-lib';
+import { Note as TonalNote } from '@tonaljs/tonal';
+import { getChordFingerings, formatFingering } from '../lib/harmony/Fingering';
+
+/**
+ * Frets with a position marker, 12 and 24 have two
+ */
+const FRET_MARKERS = [3, 5, 7, 9, 12, 15, 17, 19, 21, 24];
+
+/**
+ * Fretboard of a guitar, bass or ukulele that shows where the current notes
+ * can be played and suggests fingerings for the detected chord
+ */
+export default class Fretboard extends View {
+
+    constructor(props) {
+        const margin = { top: 20, right: 20, bottom: 20, left: 40 };
+        super(props, margin, 1, 1, true, false);
+        this.state = {
+            ...this.state,
+            instrument: 'Guitar',
+            stringCount: 6,
+            tuningName: 'E stand.',
+            customTuning: 'E2 A2 D3 G3 B3 E4',
+            fretCount: 15,
+            selectedFingering: 0
+        };
+        this.fingeringCache = new Map();
+    }
+
+    componentDidUpdate(prevProps) {
+        this.resizeComponent();
+        if (prevProps.chord !== this.props.chord) {
+            this.setState({ selectedFingering: 0 });
+        }
+    }
+
+    /**
+     * Returns the open string pitches of the selected tuning
+     * @returns {number[]|null} pitches, lowest string first, null if the
+     *      custom tuning is invalid
+     */
+    getTuning() {
+        const { instrument, stringCount, tuningName, customTuning } = this.state;
+        if (tuningName === 'custom') {
+            const pitches = customTuning.trim().split(/\s+/).map(d => TonalNote.midi(d));
+            if (pitches.length < 3 || pitches.length > 12 || pitches.some(d => d === null)) {
+                return null;
+            }
+            return pitches;
+        }
+        const tuning = Guitar.stringedTunings.get(instrument).get(stringCount)
+            .find(d => d.name === tuningName);
+        return tuning.pitches;
+    }
+
+    /**
+     * Returns fingerings for a chord, cached since searching them takes a
+     * while on instruments with many strings
+     * @param {string} chord chord symbol
+     * @param {number[]} tuning open string pitches
+     * @returns {Object[]} fingerings, see getChordFingerings
+     */
+    getFingerings(chord, tuning) {
+        const { fretCount } = this.state;
+        const cacheKey = `${chord} ${tuning.join()} ${fretCount}`;
+        if (!this.fingeringCache.has(cacheKey)) {
+            this.fingeringCache.set(cacheKey, getChordFingerings(chord, tuning, fretCount));
+        }
+        return this.fingeringCache.get(cacheKey);
+    }
+
+    setInstrument = (instrument) => {
+        const stringCount = [...Guitar.stringedTunings.get(instrument).keys()][0];
+        const tuningName = Guitar.stringedTunings.get(instrument).get(stringCount)[0].name;
+        this.setState({ instrument, stringCount, tuningName, selectedFingering: 0 });
+    }
+
+    setStringCount = (stringCount) => {
+        const { instrument } = this.state;
+        const tuningName = Guitar.stringedTunings.get(instrument).get(stringCount)[0].name;
+        this.setState({ stringCount, tuningName, selectedFingering: 0 });
+    }
+
+    render() {
+        const { rowSpan, columnSpan, viewWidth, viewHeight, width, height, margin, fretCount, selectedFingering } = this.state;
+        const { currentNotes, chord, theme } = this.props;
+        const { colors } = theme;
+        const tuning = this.getTuning();
+        const fingerings = tuning && chord ? this.getFingerings(chord, tuning) : [];
+        const fingering = fingerings[Math.min(selectedFingering, fingerings.length - 1)];
+        const elements = [];
+        if (tuning) {
+            const stringCount = tuning.length;
+            const stringSpacing = height / stringCount;
+            const openWidth = 30;
+            const fretWidth = (width - openWidth) / fretCount;
+            // Highest string at the top, like tablature
+            const stringY = string => (stringCount - 1 - string + 0.5) * stringSpacing;
+            const fretX = fret => fret === 0 ? openWidth / 2 : openWidth + (fret - 0.5) * fretWidth;
+            const radius = Math.min(stringSpacing, fretWidth) * 0.35;
+            // Fret markers
+            for (let fret of FRET_MARKERS.filter(d => d <= fretCount)) {
+                const ys = fret % 12 === 0 ? [height / 4, height * 3 / 4] : [height / 2];
+                for (let y of ys) {
+                    elements.push(<circle key={`marker${fret}-${y}`} cx={fretX(fret)} cy={y} r={4} fill={colors.shapeStroke} />);
+                }
+            }
+            // Nut and frets
+            for (let fret = 0; fret <= fretCount; fret++) {
+                const x = openWidth + fret * fretWidth;
+                elements.push(<line key={`fret${fret}`} x1={x} x2={x} y1={0} y2={height} stroke={colors.keyBorder} strokeWidth={fret === 0 ? 4 : 1} />);
+            }
+            // Strings, lower strings are thicker
+            tuning.forEach((openPitch, string) => {
+                const y = stringY(string);
+                elements.push(<line key={`string${string}`} x1={0} x2={width} y1={y} y2={y} stroke={colors.string} strokeWidth={1 + (stringCount - string) * 0.3} />);
+                elements.push((
+                    <text key={`tuning${string}`} x={-8} y={y} textAnchor='end' dominantBaseline='middle'>
+                        {Midi.getMidiNoteByNr(openPitch).label}
+                    </text>
+                ));
+            });
+            // Current notes at all positions where they can be played
+            const tuningObject = { pitches: tuning, stringCount };
+            for (let pitch of currentNotes.keys()) {
+                for (let { string, fret } of Guitar.getFretboardPositionsFromPitch(pitch, tuningObject, fretCount)) {
+                    // Library strings are counted from the highest
+                    const stringIndex = stringCount - string;
+                    elements.push((
+                        <g key={`note${pitch}-${string}`}>
+                            <circle cx={fretX(fret)} cy={stringY(stringIndex)} r={radius} fill={colors.note} />
+                            <text x={fretX(fret)} y={stringY(stringIndex)} textAnchor='middle' dominantBaseline='middle' fontSize='10px'>
+                                {Midi.getMidiNoteByNr(pitch).name}
+                            </text>
+                        </g>
+                    ));
+                }
+            }
+            // Suggested fingering with finger numbers
+            if (fingering) {
+                fingering.frets.forEach((fret, string) => {
+                    const y = stringY(string);
+                    if (fret === -1) {
+                        elements.push(<text key={`finger${string}`} x={fretX(0)} y={y} textAnchor='middle' dominantBaseline='middle' style={{ fill: colors.root }}>x</text>);
+                        return;
+                    }
+                    elements.push((
+                        <g key={`finger${string}`}>
+                            <circle cx={fretX(fret)} cy={y} r={radius + 2} fill='none' stroke={colors.root} strokeWidth={2} />
+                            {fret > 0 && (
+                                <text x={fretX(fret) + radius + 4} y={y - radius} fontSize='10px' style={{ fill: colors.root }}>
+                                    {fingering.fingers[string]}
+                                </text>
+                            )}
+                        </g>
+                    ));
+                });
+            }
+        }
+        return (
+            <div
+                className='View Fretboard'
+                style={{ gridArea: `span ${rowSpan} / span ${columnSpan}` }}
+            >
+                <svg
+                    width={viewWidth}
+                    height={viewHeight}
+                >
+                    <g transform={`translate(${margin.left}, ${margin.top})`}>
+                        {elements}
+                    </g>
+                </svg>
+                {this.getTuningControlHTML(tuning)}
+                <div className='viewControls'>
+                    {chord && fingerings.length === 0 && `No fingering found for ${chord}`}
+                    {fingerings.length > 0 && `Fingerings for ${chord}:`}
+                    {fingerings.map((d, i) => (
+                        <button
+                            key={d.frets.join()}
+                            className={d === fingering ? 'active' : ''}
+                            title={`Fingers ${d.fingers.map(f => f || '-').join(' ')}`}
+                            onClick={() => this.setState({ selectedFingering: i })}
+                        >
+                            {formatFingering(d.frets)}
+                        </button>
+                    ))}
+                </div>
+                {this.getSizeControlHTML()}
+            </div>
+        );
+    }
+
+    /**
+     * Returns the HTML (JSX) for the instrument and tuning controls
+     * @param {number[]|null} tuning current tuning, null if invalid
+     */
+    getTuningControlHTML = (tuning) => {
+        const { instrument, stringCount, tuningName, customTuning, fretCount } = this.state;
+        const tunings = Guitar.stringedTunings.get(instrument);
+        return (
+            <div className='viewControls'>
+                <select
+                    value={instrument}
+                    onChange={e => this.setInstrument(e.target.value)}
+                >
+                    {[...Guitar.stringedTunings.keys()].map(d => (
+                        <option key={d} value={d}>{d}</option>
+                    ))}
+                </select>
+                <select
+                    value={stringCount}
+                    onChange={e => this.setStringCount(+e.target.value)}
+                    disabled={tuningName === 'custom'}
+                >
+                    {[...tunings.keys()].map(d => (
+                        <option key={d} value={d}>{d} strings</option>
+                    ))}
+                </select>
+                <select
+                    value={tuningName}
+                    onChange={e => this.setState({ tuningName: e.target.value, selectedFingering: 0 })}
+                >
+                    {tunings.get(stringCount).map(d => (
+                        <option key={d.name} value={d.name}>{d.name} ({d.short})</option>
+                    ))}
+                    <option value='custom'>Custom</option>
+                </select>
+                {tuningName === 'custom' && (
+                    <input
+                        type='text'
+                        className={tuning ? '' : 'invalid'}
+                        title='Open string notes from lowest to highest, e.g. D2 A2 D3 G3 B3 E4'
+                        value={customTuning}
+                        onChange={e => this.setState({ customTuning: e.target.value, selectedFingering: 0 })}
+                    />
+                )}
+                <label>
+                    Frets
+                    <input
+                        type='number'
+                        min={5}
+                        max={24}
+                        value={fretCount}
+                        onChange={e => this.setState({ fretCount: Math.max(5, Math.min(24, +e.target.value)) })}
+                    />
+                </label>
+            </div>
+        );
+    }
+}
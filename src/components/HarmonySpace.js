@@ -0,0 +1,351 @@
+import React from 'react';
+import View from '../lib/ui/View';
+import { Note as TonalNote } from '@tonaljs/tonal';
+import { parseChordSymbol } from '../lib/harmony/ChordUtils';
+
+/**
+ * Names of the pitch classes in circle of fifths order, starting at C
+ */
+const FIFTHS_NAMES = ['C', 'G', 'D', 'A', 'E', 'B', 'F#', 'Db', 'Ab', 'Eb', 'Bb', 'F'];
+
+const MINOR_NAMES = ['Am', 'Em', 'Bm', 'F#m', 'C#m', 'G#m', 'D#m', 'Bbm', 'Fm', 'Cm', 'Gm', 'Dm'];
+
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * Returns the root pitch class and whether a chord is minor (or diminished),
+ * which decides where it is placed
+ * @param {string} symbol chord symbol
+ * @returns {Object|null} {root, isMinor, isTriad} or null for unknown chords,
+ *      isTriad is true for chords containing a major or minor triad
+ */
+function getChordPlacement(symbol) {
+    const { chord } = parseChordSymbol(symbol);
+    if (chord.empty || !chord.tonic) {
+        return null;
+    }
+    const root = TonalNote.chroma(chord.tonic);
+    const intervals = new Set(chord.notes.map(d => (TonalNote.chroma(d) - root + 12) % 12));
+    const isMinor = chord.quality === 'Minor' || chord.quality === 'Diminished';
+    const isTriad = intervals.has(7) && (intervals.has(4) || intervals.has(3));
+    return { root, isMinor, isTriad };
+}
+
+/**
+ * Returns the point nearest to a reference point
+ * @param {Object[]} points points {x, y}
+ * @param {Object} reference reference point {x, y}
+ * @returns {Object} nearest point
+ */
+function getNearest(points, reference) {
+    const distance = d => (d.x - reference.x) ** 2 + (d.y - reference.y) ** 2;
+    return points.reduce((a, b) => distance(b) < distance(a) ? b : a);
+}
+
+/**
+ * Shows the current harmony in two geometric spaces: the circle of fifths,
+ * where closely related keys and chords are neighbors, and the Tonnetz,
+ * where each triangle is a major or minor triad and neighboring triangles
+ * share two notes.
+ * Played pitch classes and the chord root are highlighted, the path of the
+ * recent chord changes is traced in both.
+ */
+export default class HarmonySpace extends View {
+
+    constructor(props) {
+        const margin = { top: 20, right: 20, bottom: 20, left: 20 };
+        super(props, margin, 2, 1, true, true);
+        this.state = {
+            ...this.state,
+            pathLength: 8
+        };
+    }
+
+    componentDidUpdate() {
+        this.resizeComponent();
+    }
+
+    /**
+     * Returns the chord symbols of the path: the recent chords from the
+     * history and the current chord
+     * @returns {string[]} chord symbols, oldest first
+     */
+    getPath() {
+        const { chordHistory, chord } = this.props;
+        const { pathLength } = this.state;
+        const path = chordHistory.slice(-pathLength).map(d => d.chords[0]);
+        if (chord && path[path.length - 1] !== chord) {
+            path.push(chord);
+        }
+        return path.slice(-pathLength);
+    }
+
+    /**
+     * Draws a path through a list of points, older segments are more
+     * transparent
+     * @param {string} keyPrefix prefix for React keys
+     * @param {Object[]} points points {x, y}
+     * @returns {JSX.Element[]} elements
+     */
+    getPathElements(keyPrefix, points) {
+        const { colors } = this.props.theme;
+        const elements = [];
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            elements.push((
+                <line
+                    key={`${keyPrefix}-path${i}`}
+                    x1={a.x}
+                    y1={a.y}
+                    x2={b.x}
+                    y2={b.y}
+                    stroke={colors.path}
+                    strokeWidth={3}
+                    strokeLinecap='round'
+                    opacity={0.2 + 0.8 * i / (points.length - 1)}
+                />
+            ));
+        }
+        if (points.length > 0) {
+            const last = points[points.length - 1];
+            elements.push(<circle key={`${keyPrefix}-current`} cx={last.x} cy={last.y} r={6} fill={colors.path} />);
+        }
+        return elements;
+    }
+
+    /**
+     * Draws the circle of fifths with major keys outside and their relative
+     * minor keys inside
+     * @param {number} cx center x
+     * @param {number} cy center y
+     * @param {number} radius radius of the outer ring
+     * @param {Set<number>} pitchClasses played pitch classes
+     * @param {Object|null} placement placement of the current chord, see
+     *      getChordPlacement
+     * @param {string[]} path chord symbols
+     * @returns {JSX.Element[]} elements
+     */
+    getCircleOfFifthsElements(cx, cy, radius, pitchClasses, placement, path) {
+        const { colors } = this.props.theme;
+        const { analysisKey } = this.props;
+        const innerRadius = radius * 0.62;
+        const nodeRadius = Math.max(8, radius * 0.11);
+        const majorRoot = placement && !placement.isMinor ? placement.root : null;
+        const minorRoot = placement && placement.isMinor ? placement.root : null;
+        // Position of a major key on the outer or its relative minor key on
+        // the inner ring
+        const position = (pitchClass, ringRadius, isMinor = false) => {
+            const majorPitchClass = isMinor ? (pitchClass + 3) % 12 : pitchClass;
+            const index = (majorPitchClass * 7) % 12;
+            const angle = index / 12 * 2 * Math.PI - Math.PI / 2;
+            return { x: cx + Math.cos(angle) * ringRadius, y: cy + Math.sin(angle) * ringRadius };
+        };
+        const elements = [
+            <circle key='outer' cx={cx} cy={cy} r={radius} fill='none' stroke={colors.shapeStroke} />,
+            <circle key='inner' cx={cx} cy={cy} r={innerRadius} fill='none' stroke={colors.shapeStroke} />
+        ];
+        for (let index = 0; index < 12; index++) {
+            const pitchClass = (index * 7) % 12;
+            const minorPitchClass = (pitchClass + 9) % 12;
+            const outer = position(pitchClass, radius);
+            const inner = position(pitchClass, innerRadius);
+            const inKey = analysisKey && analysisKey.pitchClasses.has(pitchClass);
+            elements.push((
+                <g key={`fifth${index}`}>
+                    <circle
+                        cx={outer.x}
+                        cy={outer.y}
+                        r={nodeRadius}
+                        fill={pitchClasses.has(pitchClass) ? colors.note : colors.shapeFill}
+                        stroke={pitchClass === majorRoot ? colors.root : (inKey ? colors.keyBorder : colors.shapeStroke)}
+                        strokeWidth={pitchClass === majorRoot ? 3 : 1}
+                    />
+                    <text x={outer.x} y={outer.y} textAnchor='middle' dominantBaseline='middle'>
+                        {FIFTHS_NAMES[index]}
+                    </text>
+                    <circle
+                        cx={inner.x}
+                        cy={inner.y}
+                        r={nodeRadius * 0.8}
+                        fill={colors.shapeFill}
+                        stroke={minorPitchClass === minorRoot ? colors.root : colors.shapeStroke}
+                        strokeWidth={minorPitchClass === minorRoot ? 3 : 1}
+                    />
+                    <text x={inner.x} y={inner.y} textAnchor='middle' dominantBaseline='middle' fontSize='11px'>
+                        {MINOR_NAMES[index]}
+                    </text>
+                </g>
+            ));
+        }
+        // Major chords are placed on the outer, minor ones on the inner ring
+        const points = path
+            .map(getChordPlacement)
+            .filter(d => d !== null)
+            .map(d => position(d.root, d.isMinor ? innerRadius : radius, d.isMinor));
+        return [...elements, ...this.getPathElements('circle', points)];
+    }
+
+    /**
+     * Draws the Tonnetz: to the right are fifths, to the upper right major
+     * thirds and to the upper left minor thirds. Up-pointing triangles are
+     * major triads, down-pointing ones minor triads.
+     * @param {number} left left border
+     * @param {number} top top border
+     * @param {number} areaWidth width
+     * @param {number} areaHeight height
+     * @param {Set<number>} pitchClasses played pitch classes
+     * @param {number|null} root root pitch class of the current chord
+     * @param {string[]} path chord symbols
+     * @returns {JSX.Element[]} elements
+     */
+    getTonnetzElements(left, top, areaWidth, areaHeight, pitchClasses, root, path) {
+        const { colors } = this.props.theme;
+        const step = Math.max(30, areaWidth / 7);
+        const rowHeight = step * Math.sqrt(3) / 2;
+        const nodeRadius = Math.min(12, step * 0.25);
+        const rowCount = Math.floor(areaHeight / rowHeight);
+        const cx = left + areaWidth / 2;
+        const cy = top + areaHeight / 2;
+        // C in the center
+        const centerRow = Math.floor(rowCount / 2);
+        const point = (col, row) => ({
+            x: cx + (col + (row - centerRow) / 2) * step,
+            y: cy - (row - centerRow) * rowHeight
+        });
+        const isInside = ({ x, y }) => x >= left - 1 && x <= left + areaWidth + 1 && y >= top - 1 && y <= top + areaHeight + 1;
+        const pitchClassAt = (col, row) => (((col * 7 + (row - centerRow) * 4) % 12) + 12) % 12;
+        const colRange = Math.ceil(areaWidth / step) + rowCount;
+        const nodes = [];
+        const triangles = [];
+        for (let row = 0; row <= rowCount; row++) {
+            for (let col = -colRange; col <= colRange; col++) {
+                const p = point(col, row);
+                if (!isInside(p)) {
+                    continue;
+                }
+                nodes.push({ ...p, pitchClass: pitchClassAt(col, row), key: `${col},${row}` });
+                // Major triad (col, row), (col + 1, row), (col, row + 1) and
+                // minor triad (col + 1, row), (col, row + 1), (col + 1, row + 1)
+                const shapes = [
+                    { corners: [[col, row], [col + 1, row], [col, row + 1]], isMinor: false },
+                    { corners: [[col + 1, row], [col, row + 1], [col + 1, row + 1]], isMinor: true }
+                ];
+                for (let { corners, isMinor } of shapes) {
+                    const points = corners.map(([c, r]) => point(c, r));
+                    if (row + 1 > rowCount || !points.every(isInside)) {
+                        continue;
+                    }
+                    const triadPitchClasses = corners.map(([c, r]) => pitchClassAt(c, r));
+                    triangles.push({
+                        points,
+                        triadPitchClasses,
+                        // The root of the minor triad is the middle corner
+                        root: isMinor ? triadPitchClasses[1] : triadPitchClasses[0],
+                        isMinor,
+                        center: {
+                            x: points.reduce((sum, d) => sum + d.x, 0) / 3,
+                            y: points.reduce((sum, d) => sum + d.y, 0) / 3
+                        },
+                        key: `${col},${row},${isMinor}`
+                    });
+                }
+            }
+        }
+        const elements = [];
+        for (let t of triangles) {
+            const isPlayed = t.triadPitchClasses.every(d => pitchClasses.has(d));
+            elements.push((
+                <polygon
+                    key={`triangle${t.key}`}
+                    points={t.points.map(d => `${d.x},${d.y}`).join(' ')}
+                    fill={isPlayed ? colors.note : 'none'}
+                    fillOpacity={0.4}
+                    stroke={colors.shapeStroke}
+                />
+            ));
+        }
+        for (let n of nodes) {
+            elements.push((
+                <g key={`node${n.key}`}>
+                    <circle
+                        cx={n.x}
+                        cy={n.y}
+                        r={nodeRadius}
+                        fill={pitchClasses.has(n.pitchClass) ? colors.note : colors.shapeFill}
+                        stroke={n.pitchClass === root ? colors.root : colors.shapeStroke}
+                        strokeWidth={n.pitchClass === root ? 3 : 1}
+                    />
+                    <text x={n.x} y={n.y} textAnchor='middle' dominantBaseline='middle' fontSize='10px'>
+                        {PITCH_CLASS_NAMES[n.pitchClass]}
+                    </text>
+                </g>
+            ));
+        }
+        // Each chord is placed on its triad's triangle (or its root node)
+        // nearest to the previous chord, so the path stays connected
+        const points = [];
+        let previous = { x: cx, y: cy };
+        for (let placement of path.map(getChordPlacement)) {
+            if (placement === null) {
+                continue;
+            }
+            const candidates = placement.isTriad
+                ? triangles.filter(d => d.root === placement.root && d.isMinor === placement.isMinor).map(d => d.center)
+                : nodes.filter(d => d.pitchClass === placement.root);
+            if (candidates.length === 0) {
+                continue;
+            }
+            previous = getNearest(candidates, previous);
+            points.push(previous);
+        }
+        return [...elements, ...this.getPathElements('tonnetz', points)];
+    }
+
+    render() {
+        const { rowSpan, columnSpan, viewWidth, viewHeight, width, height, margin, pathLength } = this.state;
+        const { currentNotes, chord } = this.props;
+        const pitchClasses = new Set([...currentNotes.keys()].map(d => d % 12));
+        const placement = chord ? getChordPlacement(chord) : null;
+        const root = placement ? placement.root : null;
+        const path = this.getPath();
+        const gap = 20;
+        const circleSize = Math.min(width / 2 - gap, height);
+        const radius = circleSize / 2 - 15;
+        const tonnetzLeft = circleSize + gap;
+        return (
+            <div
+                className='View HarmonySpace'
+                style={{ gridArea: `span ${rowSpan} / span ${columnSpan}` }}
+            >
+                <svg
+                    width={viewWidth}
+                    height={viewHeight}
+                >
+                    <g transform={`translate(${margin.left}, ${margin.top})`}>
+                        {this.getCircleOfFifthsElements(circleSize / 2, height / 2, radius, pitchClasses, placement, path)}
+                        {this.getTonnetzElements(tonnetzLeft, 0, width - tonnetzLeft, height, pitchClasses, root, path)}
+                    </g>
+                </svg>
+                <div className='viewControls'>
+                    <label title='Number of recent chords shown as path'>
+                        Path length
+                        <input
+                            type='number'
+                            min={1}
+                            max={32}
+                            value={pathLength}
+                            onChange={e => this.setState({ pathLength: Math.max(1, Math.min(32, +e.target.value)) })}
+                        />
+                    </label>
+                    {path.length > 0 && (
+                        <span className='pathChords'>
+                            {path.join(' → ')}
+                        </span>
+                    )}
+                </div>
+                {this.getSizeControlHTML()}
+            </div>
+        );
+    }
+}
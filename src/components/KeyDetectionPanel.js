@@ -0,0 +1,63 @@
+import React, { PureComponent } from 'react';
+import { getAllKeys, MAJOR_MINOR_SCALES, MODAL_SCALES } from '../lib/harmony/KeyDetection';
+
+/**
+ * Shows the estimated key and the settings for key detection, also allows
+ * to pick a key manually, which is then used instead of the estimated one
+ */
+export default class KeyDetectionPanel extends PureComponent {
+
+    render() {
+        const {
+            estimatedKey,
+            selectedKey,
+            windowSize,
+            useModes,
+            setWindowSize,
+            setUseModes,
+            setSelectedKey
+        } = this.props;
+        const keys = getAllKeys(useModes ? MODAL_SCALES : MAJOR_MINOR_SCALES);
+        return (
+            <div className='KeyDetectionPanel'>
+                <div>
+                    Estimated key: {estimatedKey
+                        ? `${estimatedKey.name} (${Math.round(estimatedKey.confidence * 100)}% confidence)`
+                        : '-'}
+                </div>
+                <div>
+                    <label>
+                        Analysis key
+                        <select
+                            value={selectedKey ? selectedKey.name : ''}
+                            onChange={e => setSelectedKey(keys.find(d => d.name === e.target.value) || null)}
+                        >
+                            <option value=''>Estimated</option>
+                            {keys.map(d => (
+                                <option key={d.name} value={d.name}>{d.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label title='Only notes played within this many seconds are considered'>
+                        Window (s)
+                        <input
+                            type='number'
+                            min={1}
+                            max={600}
+                            value={windowSize}
+                            onChange={e => setWindowSize(+e.target.value)}
+                        />
+                    </label>
+                    <label>
+                        <input
+                            type='checkbox'
+                            checked={useModes}
+                            onChange={e => setUseModes(e.target.checked)}
+                        />
+                        Include modes
+                    </label>
+                </div>
+            </div>
+        );
+    }
+}
@@ -0,0 +1,246 @@
+import React from 'react';
+import View from '../lib/ui/View';
+import { scaleLinear } from 'd3-scale';
+import { extent } from 'd3-array';
+import { setupCanvas, drawCurrentTimeIndicator, clipLeftRight } from '../lib/ui/Graphics';
+
+/**
+ * Timeline for a loaded MIDI file with its notes, the chord at each position
+ * and the playhead, also contains the transport controls
+ */
+export default class MidiFileTimeline extends View {
+
+    constructor(props) {
+        const margin = { top: 40, right: 20, bottom: 10, left: 40 };
+        super(props, margin, 1, 1, true, false);
+        this.state = {
+            ...this.state,
+            // Number of seconds visible at once
+            timeWindow: 20
+        };
+    }
+
+    componentDidMount() {
+        this.initialize();
+        this.animationFrame = requestAnimationFrame(this.draw);
+    }
+
+    componentWillUnmount() {
+        cancelAnimationFrame(this.animationFrame);
+    }
+
+    componentDidUpdate() {
+        this.resizeComponent();
+    }
+
+    onResize = () => this.initialize();
+
+    initialize = () => {
+        this.ctx = setupCanvas(this.canvas);
+    }
+
+    /**
+     * Returns the x scale for the visible time range, which follows the
+     * playhead
+     * @returns {Function} D3 linear scale
+     */
+    getXScale = () => {
+        const { width, timeWindow } = this.state;
+        const time = this.props.player.getCurrentTime();
+        return scaleLinear()
+            .domain([time - timeWindow * 0.25, time + timeWindow * 0.75])
+            .range([0, width]);
+    }
+
+    /**
+     * Redraws the timeline, called in each animation frame to move with the
+     * playhead
+     */
+    draw = () => {
+        this.animationFrame = requestAnimationFrame(this.draw);
+        const ctx = this.ctx;
+        if (!ctx) {
+            return;
+        }
+        const { viewWidth, viewHeight, width, height, margin } = this.state;
+        const { midiFile, player, theme } = this.props;
+        const { colors } = theme;
+        ctx.clearRect(0, 0, viewWidth, viewHeight);
+        if (!midiFile) {
+            ctx.fillStyle = colors.canvasMutedText;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('Drop a MIDI file here or choose one below', viewWidth / 2, viewHeight / 2);
+            return;
+        }
+        const x = this.getXScale();
+        const [minTime, maxTime] = x.domain();
+        const time = player.getCurrentTime();
+        if (this.positionInput) {
+            this.positionInput.value = time;
+        }
+        // Measure lines
+        ctx.fillStyle = colors.gridLine;
+        for (let line of midiFile.measureLinePositions || []) {
+            if (line >= minTime && line <= maxTime) {
+                ctx.fillRect(margin.left + x(line), margin.top, 1, height);
+            }
+        }
+        // Notes
+        const [minPitch, maxPitch] = extent(midiFile.notes, d => d.pitch);
+        const rowHeight = height / (maxPitch - minPitch + 1);
+        ctx.fillStyle = colors.note;
+        for (let note of midiFile.notes) {
+            if (note.start > maxTime) {
+                break;
+            }
+            if (note.end < minTime) {
+                continue;
+            }
+            const startX = margin.left + x(note.start);
+            const y = margin.top + (maxPitch - note.pitch) * rowHeight;
+            ctx.fillRect(startX, y, Math.max(1, x(note.end) - x(note.start) - 1), Math.max(1, rowHeight - 1));
+        }
+        // Chord labels
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        for (let segment of midiFile.chordSegments) {
+            if (segment.start > maxTime || segment.end < minTime) {
+                continue;
+            }
+            const isCurrent = segment.start <= time && segment.end > time;
+            ctx.fillStyle = isCurrent ? colors.canvasText : colors.canvasMutedText;
+            ctx.fillText(segment.chords[0], margin.left + x(segment.start) + 2, margin.top - 6);
+            ctx.fillStyle = colors.gridLine;
+            ctx.fillRect(margin.left + x(segment.start), margin.top - 20, 1, 20);
+        }
+        clipLeftRight(ctx, { ...margin, top: 0 }, width, viewHeight);
+        drawCurrentTimeIndicator(ctx, time, x, height, margin, colors.canvasText);
+    }
+
+    /**
+     * Moves the playhead to the pointer position
+     * @param {PointerEvent} event pointer event
+     */
+    seekToPointer(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const time = this.getXScale().invert(event.clientX - rect.left - this.state.margin.left);
+        this.props.player.seek(time);
+    }
+
+    /**
+     * Starts scrubbing, the playhead follows the pointer until it is
+     * released
+     * @param {PointerEvent} event pointer event
+     */
+    onPointerDown = (event) => {
+        if (!this.props.midiFile) {
+            return;
+        }
+        this.canvas.setPointerCapture(event.pointerId);
+        this.props.player.setScrubbing(true);
+        this.seekToPointer(event);
+    }
+
+    onPointerMove = (event) => {
+        if (this.props.player.isScrubbing && this.canvas.hasPointerCapture(event.pointerId)) {
+            this.seekToPointer(event);
+        }
+    }
+
+    onPointerUp = () => this.props.player.setScrubbing(false);
+
+    togglePlaying = () => {
+        const { player, playbackState } = this.props;
+        if (playbackState.isPlaying) {
+            player.pause();
+        } else {
+            player.play();
+        }
+    }
+
+    onFileChange = (event) => {
+        const file = event.target.files[0];
+        if (file) {
+            this.props.onLoadFile(file);
+        }
+        // Allow to load the same file again
+        event.target.value = '';
+    }
+
+    render() {
+        const { rowSpan, columnSpan, viewWidth, viewHeight } = this.state;
+        const { midiFile, player, playbackState, loadError, onUnloadFile } = this.props;
+        return (
+            <div
+                className='View MidiFileTimeline'
+                style={{ gridArea: `span ${rowSpan} / span ${columnSpan}` }}
+            >
+                <canvas
+                    ref={n => this.canvas = n}
+                    style={{ width: viewWidth, height: viewHeight }}
+                    onPointerDown={this.onPointerDown}
+                    onPointerMove={this.onPointerMove}
+                    onPointerUp={this.onPointerUp}
+                    onPointerCancel={this.onPointerUp}
+                />
+                <div className='viewControls'>
+                    <label className='fileInput'>
+                        Open MIDI file
+                        <input
+                            type='file'
+                            accept='.mid,.midi'
+                            onChange={this.onFileChange}
+                        />
+                    </label>
+                    {midiFile && (
+                        <span>
+                            <span className='fileName'>{midiFile.name}</span>
+                            <button onClick={this.togglePlaying}>
+                                {playbackState.isPlaying ? 'Pause' : 'Play'}
+                            </button>
+                            <button onClick={() => player.stop()}>
+                                Stop
+                            </button>
+                            <input
+                                type='range'
+                                title='Position'
+                                ref={n => this.positionInput = n}
+                                min={0}
+                                max={midiFile.totalTime}
+                                step={0.01}
+                                defaultValue={0}
+                                onPointerDown={() => player.setScrubbing(true)}
+                                onPointerUp={() => player.setScrubbing(false)}
+                                onPointerCancel={() => player.setScrubbing(false)}
+                                onChange={e => player.seek(+e.target.value)}
+                            />
+                            <label title='Tempo factor'>
+                                Speed
+                                <input
+                                    type='number'
+                                    min={0.1}
+                                    max={4}
+                                    step={0.1}
+                                    value={playbackState.speed}
+                                    onChange={e => player.setSpeed(Math.max(0.1, +e.target.value))}
+                                />
+                                {midiFile.bpm && ` (${Math.round(midiFile.bpm * playbackState.speed)} bpm)`}
+                            </label>
+                            <button
+                                title='Remove the file, its notes are no longer shown or played'
+                                onClick={onUnloadFile}
+                            >
+                                Close
+                            </button>
+                        </span>
+                    )}
+                    {loadError && (
+                        <span className='error'>{loadError}</span>
+                    )}
+                </div>
+                {this.getSizeControlHTML()}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,90 @@
+import React, { PureComponent } from 'react';
+import { Midi } from 'musicvis-lib';
+
+/**
+ * Lists the connected MIDI inputs with an activity indicator, inputs and
+ * their channels can be enabled and disabled.
+ * Also allows to split the keyboard into a left hand bass and right hand
+ * chord part.
+ */
+export default class MidiInputPanel extends PureComponent {
+
+    /**
+     * Returns the HTML (JSX) for one input
+     * @param {Object} device input, see MidiDeviceManager.getDevices
+     * @returns {JSX.Element} input row
+     */
+    getDeviceHTML(device) {
+        const { setInputEnabled, setChannelEnabled } = this.props;
+        return (
+            <div key={device.id} className='midiInput'>
+                {/* Remounted on each message to restart the animation */}
+                <span
+                    key={device.lastActivity}
+                    className={device.lastActivity ? 'activity blink' : 'activity'}
+                />
+                <label title={device.manufacturer}>
+                    <input
+                        type='checkbox'
+                        checked={device.enabled}
+                        onChange={e => setInputEnabled(device.id, e.target.checked)}
+                    />
+                    {device.name}
+                </label>
+                <span className='channels'>
+                    {device.channels.map((enabled, channel) => (
+                        <button
+                            key={channel}
+                            className={enabled ? 'active' : ''}
+                            title={`Channel ${channel + 1}`}
+                            disabled={!device.enabled}
+                            onClick={() => setChannelEnabled(device.id, channel, !enabled)}
+                        >
+                            {channel + 1}
+                        </button>
+                    ))}
+                </span>
+            </div>
+        );
+    }
+
+    render() {
+        const { isSupported, devices, error, splitPitch, setSplitPitch } = this.props;
+        let status = '';
+        if (!isSupported) {
+            status = 'Your browser does not support Web MIDI, use the computer keyboard or the mouse';
+        } else if (error) {
+            status = error;
+        } else if (devices.length === 0) {
+            status = 'No MIDI input connected';
+        }
+        return (
+            <div className='MidiInputPanel'>
+                <details>
+                    <summary>MIDI inputs ({devices.filter(d => d.enabled).length} of {devices.length} enabled)</summary>
+                    {status}
+                    {devices.map(d => this.getDeviceHTML(d))}
+                </details>
+                <label title='Left hand notes below the split only count as bass note of the chord'>
+                    <input
+                        type='checkbox'
+                        checked={splitPitch !== null}
+                        onChange={e => setSplitPitch(e.target.checked ? 60 : null)}
+                    />
+                    Split keyboard at
+                </label>
+                <input
+                    type='number'
+                    min={1}
+                    max={127}
+                    value={splitPitch ?? 60}
+                    disabled={splitPitch === null}
+                    onChange={e => setSplitPitch(Math.max(1, Math.min(127, +e.target.value)))}
+                />
+                <span className='splitNote'>
+                    {Midi.getMidiNoteByNr(splitPitch ?? 60).label}
+                </span>
+            </div>
+        );
+    }
+}
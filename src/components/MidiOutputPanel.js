@@ -0,0 +1,107 @@
+import React, { PureComponent } from 'react';
+import { TRIGGER_CHORD_TYPES, TRIGGER_VOICINGS } from '../lib/output/MidiOutputRouter';
+
+/**
+ * Settings for sending notes to a MIDI output: thru, chord trigger and the
+ * detected chord's root or bass on a separate channel
+ */
+export default class MidiOutputPanel extends PureComponent {
+
+    render() {
+        const { isSupported, outputs, settings, inputChannels, setSettings } = this.props;
+        if (!isSupported) {
+            return null;
+        }
+        const noOutput = settings.outputId === null;
+        // Played notes keep their channel, so they would mix with the chord
+        // notes on the same channel
+        const channelCollision = !noOutput && settings.sendBass
+            && (settings.thru || settings.chordTrigger)
+            && inputChannels.has(settings.bassChannel);
+        return (
+            <div className='MidiOutputPanel'>
+                <label>
+                    MIDI output
+                    <select
+                        value={settings.outputId ?? ''}
+                        onChange={e => setSettings({ outputId: e.target.value || null })}
+                    >
+                        <option value=''>none</option>
+                        {outputs.map(d => (
+                            <option key={d.id} value={d.id}>{d.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <label title='Send the played notes to the output'>
+                    <input
+                        type='checkbox'
+                        checked={settings.thru}
+                        disabled={noOutput || settings.chordTrigger}
+                        onChange={e => setSettings({ thru: e.target.checked })}
+                    />
+                    Thru
+                </label>
+                <label title='Each key sends a full chord built on it'>
+                    <input
+                        type='checkbox'
+                        checked={settings.chordTrigger}
+                        disabled={noOutput}
+                        onChange={e => setSettings({ chordTrigger: e.target.checked })}
+                    />
+                    Chord trigger
+                </label>
+                <select
+                    value={settings.triggerChordType}
+                    disabled={noOutput || !settings.chordTrigger}
+                    onChange={e => setSettings({ triggerChordType: e.target.value })}
+                >
+                    {TRIGGER_CHORD_TYPES.map(d => (
+                        <option key={d} value={d}>{d}</option>
+                    ))}
+                </select>
+                <select
+                    value={settings.triggerVoicing}
+                    disabled={noOutput || !settings.chordTrigger}
+                    onChange={e => setSettings({ triggerVoicing: e.target.value })}
+                >
+                    {TRIGGER_VOICINGS.map(d => (
+                        <option key={d} value={d}>{d}</option>
+                    ))}
+                </select>
+                <label title='Send a note for the detected chord on a separate channel'>
+                    <input
+                        type='checkbox'
+                        checked={settings.sendBass}
+                        disabled={noOutput}
+                        onChange={e => setSettings({ sendBass: e.target.checked })}
+                    />
+                    Send chord
+                </label>
+                <select
+                    value={settings.bassMode}
+                    disabled={noOutput || !settings.sendBass}
+                    onChange={e => setSettings({ bassMode: e.target.value })}
+                >
+                    <option value='root'>root</option>
+                    <option value='bass'>bass</option>
+                </select>
+                <label>
+                    on channel
+                    <input
+                        type='number'
+                        min={1}
+                        max={16}
+                        value={settings.bassChannel + 1}
+                        disabled={noOutput || !settings.sendBass}
+                        onChange={e => setSettings({ bassChannel: Math.max(1, Math.min(16, +e.target.value)) - 1 })}
+                    />
+                </label>
+                {channelCollision && (
+                    <span className='warning'>
+                        Played notes are also sent on channel {settings.bassChannel + 1}
+                    </span>
+                )}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,30 @@
+import React, { PureComponent } from 'react';
+
+/**
+ * Shows the state of the sustain and sostenuto pedals and whether notes
+ * sustained by them are used for chord detection
+ */
+export default class PedalPanel extends PureComponent {
+
+    render() {
+        const { sustainPedal, sostenutoPedal, includeSoundingNotes, setIncludeSoundingNotes } = this.props;
+        return (
+            <div className='PedalPanel'>
+                <span className={sustainPedal ? 'pedal active' : 'pedal'}>
+                    Sustain
+                </span>
+                <span className={sostenutoPedal ? 'pedal active' : 'pedal'}>
+                    Sostenuto
+                </span>
+                <label title='Use notes that are released but still sustained by a pedal for chord detection'>
+                    <input
+                        type='checkbox'
+                        checked={includeSoundingNotes}
+                        onChange={e => setIncludeSoundingNotes(e.target.checked)}
+                    />
+                    Include sustained notes in chord
+                </label>
+            </div>
+        );
+    }
+}
@@ -1,128 +1,531 @@
 import React from 'react';
-import { range } from 'd3-array';
+import { range, extent } from 'd3-array';
 import View from '../lib/ui/View';
 import { Midi, Piano } from 'musicvis-lib';
+import { HIGHLIGHT_MODES, getKeyHighlightColor, getHighlightLegend, isLightColor } from '../lib/ui/KeyHighlighting';
+
+/**
+ * Keyboard ranges of common controllers and pianos
+ */
+export const KEYBOARD_RANGES = new Map([
+    ['25 keys', { minPitch: 48, maxPitch: 72 }],
+    ['37 keys', { minPitch: 48, maxPitch: 84 }],
+    ['49 keys', { minPitch: 36, maxPitch: 84 }],
+    ['61 keys', { minPitch: 36, maxPitch: 96 }],
+    ['76 keys', { minPitch: 28, maxPitch: 103 }],
+    ['88 keys', Piano.pianoPitchRange.get(88)],
+    ['128 keys', Piano.pianoPitchRange.get(128)]
+]);
+
+/**
+ * Returns a valid pitch range: swaps inverted bounds and widens ranges that
+ * are smaller than an octave
+ * @param {Object} range {minPitch, maxPitch}
+ * @returns {Object} {minPitch, maxPitch} within [0, 127]
+ */
+function normalizePitchRange({ minPitch, maxPitch }) {
+    let low = Math.max(0, Math.min(minPitch, maxPitch));
+    let high = Math.min(127, Math.max(minPitch, maxPitch));
+    if (high - low < 12) {
+        high = Math.min(127, low + 12);
+        low = high - 12;
+    }
+    return { minPitch: low, maxPitch: high };
+}
+
+/**
+ * Number of rows the view spans in vertical orientation
+ */
+const VERTICAL_ROW_SPAN = 3;
+
+/**
+ * Bottom margin without and with the highlight legend
+ */
+const BOTTOM_MARGIN = 40;
+const LEGEND_BOTTOM_MARGIN = 62;
 
 export default class PianoKeyboard extends View {
 
     constructor(props) {
-        const margin = { top: 20, right: 20, bottom: 40, left: 20 };
+        const margin = { top: 20, right: 20, bottom: BOTTOM_MARGIN, left: 20 };
         super(props, margin, 1, 1, false, false);
+        this.state = {
+            ...this.state,
+            // Name of a KEYBOARD_RANGES entry, 'auto' or 'custom'
+            rangePreset: '88 keys',
+            customRange: { minPitch: 48, maxPitch: 84 },
+            // Text in the range inputs, which may be incomplete while typing
+            customRangeInput: { minPitch: '48', maxPitch: '84' },
+            vertical: false,
+            // Key of a HIGHLIGHT_MODES entry
+            highlightMode: 'default'
+        };
+        // Pitch currently pressed by each mouse / touch pointer
+        this.pointerPitches = new Map();
     }
 
     componentDidUpdate = () => this.resizeComponent();
 
+    /**
+     * Returns the pitch of the key under a pointer.
+     * Uses elementFromPoint since touch pointers are captured by the element
+     * where the touch started, so enter and leave events do not work there.
+     * @param {PointerEvent} event pointer event
+     * @returns {number|null} MIDI pitch or null if there is no key
+     */
+    getPitchAtPointer(event) {
+        const element = document.elementFromPoint(event.clientX, event.clientY);
+        if (!element || !element.dataset || element.dataset.pitch === undefined) {
+            return null;
+        }
+        return +element.dataset.pitch;
+    }
+
+    /**
+     * Presses or releases keys for a pointer that moved to a new key
+     * @param {number} pointerId pointer ID
+     * @param {number|null} pitch new pitch or null when released
+     */
+    setPointerPitch(pointerId, pitch) {
+        const { onKeyDown, onKeyUp } = this.props;
+        const oldPitch = this.pointerPitches.get(pointerId) ?? null;
+        if (pitch === oldPitch) {
+            return;
+        }
+        if (pitch === null) {
+            this.pointerPitches.delete(pointerId);
+        } else {
+            this.pointerPitches.set(pointerId, pitch);
+        }
+        // Other pointers might still hold the same key
+        if (oldPitch !== null && this.countPointersOn(oldPitch) === 0) {
+            onKeyUp(oldPitch);
+        }
+        if (pitch !== null && this.countPointersOn(pitch) === 1) {
+            onKeyDown(pitch);
+        }
+    }
+
+    /**
+     * Returns how many pointers currently press a key
+     * @param {number} pitch MIDI pitch
+     * @returns {number} pointer count
+     */
+    countPointersOn(pitch) {
+        return [...this.pointerPitches.values()].filter(d => d === pitch).length;
+    }
+
+    onPointerDown = (event) => {
+        if (!this.props.onKeyDown) {
+            return;
+        }
+        event.preventDefault();
+        this.setPointerPitch(event.pointerId, this.getPitchAtPointer(event));
+    }
+
+    onPointerMove = (event) => {
+        if (!this.pointerPitches.has(event.pointerId)) {
+            return;
+        }
+        this.setPointerPitch(event.pointerId, this.getPitchAtPointer(event));
+    }
+
+    onPointerUp = (event) => {
+        if (!this.pointerPitches.has(event.pointerId)) {
+            return;
+        }
+        this.setPointerPitch(event.pointerId, null);
+    }
+
+    /**
+     * Returns the shown pitch range for the selected preset
+     * @returns {Object} {minPitch, maxPitch}, both on white keys
+     */
+    getPitchRange() {
+        const { rangePreset, customRange } = this.state;
+        let pitchRange = KEYBOARD_RANGES.get(rangePreset);
+        if (rangePreset === 'auto') {
+            pitchRange = this.getAutoFitRange();
+        } else if (rangePreset === 'custom') {
+            pitchRange = normalizePitchRange(customRange);
+        }
+        let { minPitch, maxPitch } = pitchRange;
+        // Start and end on white keys
+        if (Midi.isSharp(minPitch)) {
+            minPitch--;
+        }
+        if (Midi.isSharp(maxPitch)) {
+            maxPitch++;
+        }
+        return { minPitch, maxPitch };
+    }
+
+    /**
+     * Returns the whole octaves that contain all received notes, at least two
+     * @returns {Object} {minPitch, maxPitch}
+     */
+    getAutoFitRange() {
+        const { midiLiveData = [], currentNotes } = this.props;
+        const pitches = [...midiLiveData.map(d => d.pitch), ...currentNotes.keys()];
+        if (pitches.length === 0) {
+            return KEYBOARD_RANGES.get('61 keys');
+        }
+        const [min, max] = extent(pitches);
+        let minPitch = min - min % 12;
+        let maxPitch = max + (12 - max % 12) % 12;
+        while (maxPitch - minPitch < 24) {
+            if (minPitch >= 12) {
+                minPitch -= 12;
+            } else {
+                maxPitch += 12;
+            }
+        }
+        return { minPitch, maxPitch: Math.min(127, maxPitch) };
+    }
+
+    /**
+     * @param {string} rangePreset name of a KEYBOARD_RANGES entry, 'auto' or
+     *      'custom'
+     */
+    setRangePreset = (rangePreset) => {
+        if (rangePreset === 'custom') {
+            // Start from the current range
+            const customRange = this.getPitchRange();
+            this.setState({
+                rangePreset,
+                customRange,
+                customRangeInput: {
+                    minPitch: `${customRange.minPitch}`,
+                    maxPitch: `${customRange.maxPitch}`
+                }
+            });
+        } else {
+            this.setState({ rangePreset });
+        }
+    }
+
+    /**
+     * Updates a range bound while typing, the shown range is normalized by
+     * getPitchRange
+     * @param {string} bound 'minPitch' or 'maxPitch'
+     * @param {string} text input text
+     */
+    setCustomRangeInput = (bound, text) => {
+        const { customRange, customRangeInput } = this.state;
+        const pitch = Number.parseInt(text, 10);
+        this.setState({
+            customRangeInput: { ...customRangeInput, [bound]: text },
+            customRange: Number.isFinite(pitch)
+                ? { ...customRange, [bound]: Math.max(0, Math.min(127, pitch)) }
+                : customRange
+        });
+    }
+
+    /**
+     * Applies the normalized range to the inputs when editing is done
+     */
+    commitCustomRange = () => {
+        const customRange = normalizePitchRange(this.state.customRange);
+        this.setState({
+            customRange,
+            customRangeInput: {
+                minPitch: `${customRange.minPitch}`,
+                maxPitch: `${customRange.maxPitch}`
+            }
+        });
+    }
+
+    /**
+     * Switches between horizontal and vertical orientation, the vertical
+     * keyboard spans more rows and its height can be changed
+     * @param {boolean} vertical vertical?
+     */
+    setVertical = (vertical) => {
+        const { margin } = this.state;
+        const rowSpan = vertical ? VERTICAL_ROW_SPAN : 1;
+        const viewHeight = this.props.viewSize.outerHeight * rowSpan;
+        this.setState({
+            vertical,
+            rowSpan,
+            canResizeRows: vertical,
+            viewHeight,
+            height: viewHeight - margin.top - margin.bottom
+        });
+    }
+
+    /**
+     * Changes how pressed keys are colored, all modes except the default one
+     * show a legend below the keyboard
+     * @param {string} highlightMode key of a HIGHLIGHT_MODES entry
+     */
+    setHighlightMode = (highlightMode) => {
+        const { viewHeight, margin } = this.state;
+        const bottom = highlightMode === 'default' ? BOTTOM_MARGIN : LEGEND_BOTTOM_MARGIN;
+        this.setState({
+            highlightMode,
+            margin: { ...margin, bottom },
+            height: viewHeight - margin.top - bottom
+        });
+    }
+
+    /**
+     * Returns the legend of the highlight mode
+     * @param {number} markerPos position of the octave markers across the keys
+     * @returns {JSX.Element[]} legend elements
+     */
+    getLegend(markerPos) {
+        const { highlightMode, vertical } = this.state;
+        const { currentNotes, theme } = this.props;
+        if (highlightMode === 'default') {
+            return [];
+        }
+        const entries = getHighlightLegend(highlightMode, theme.colors, [...currentNotes.values()]);
+        // Below the octave labels, next to them on vertical keyboards
+        const title = `${HIGHLIGHT_MODES.get(highlightMode)}:`;
+        let along = vertical ? 8 : title.length * 6 + 10;
+        const across = vertical ? markerPos + 75 : markerPos + 35;
+        const elements = [(
+            <text
+                key='title'
+                x={vertical ? across : 0}
+                y={vertical ? 0 : across}
+                dominantBaseline='middle'
+            >
+                {title}
+            </text>
+        )];
+        if (entries.length === 0) {
+            elements.push((
+                <text
+                    key='empty'
+                    x={vertical ? across : along}
+                    y={vertical ? 18 : across}
+                    dominantBaseline='middle'
+                >
+                    no notes
+                </text>
+            ));
+        }
+        for (let entry of entries) {
+            const position = vertical ? { x: across, y: along + 10 } : { x: along, y: across };
+            elements.push((
+                <g key={entry.label} transform={`translate(${position.x}, ${position.y})`}>
+                    <rect
+                        x={0}
+                        y={-5}
+                        width={10}
+                        height={10}
+                        fill={entry.color}
+                    />
+                    <text
+                        x={14}
+                        y={0}
+                        dominantBaseline='middle'
+                    >
+                        {entry.label}
+                    </text>
+                </g>
+            ));
+            along += vertical ? 16 : entry.label.length * 7 + 24;
+        }
+        return elements;
+    }
+
     render() {
-        const { rowSpan, columnSpan, viewWidth, viewHeight, width, height, margin } = this.state;
-        const { currentNotes } = this.props;
-        const { minPitch, maxPitch } = Piano.pianoPitchRange.get(88);
+        const { rowSpan, columnSpan, viewWidth, viewHeight, width, height, margin, vertical, highlightMode } = this.state;
+        const {
+            currentNotes,
+            soundingNotes = new Map(),
+            playbackNotes = new Map(),
+            highlightedNotes = [],
+            scale,
+            ghostNotes,
+            noteLabels,
+            quizResult,
+            theme
+        } = this.props;
+        const { colors } = theme;
+        // A scale from the scale explorer replaces the key's scale
+        const scalePitchClasses = scale ? scale.pitchClasses : this.props.scalePitchClasses;
+        const highlightedPitches = new Set(highlightedNotes.map(d => d.pitch));
+        // Previewed chord {pitches, commonTones}, e.g. a suggested next chord
+        const ghostPitches = new Set(ghostNotes ? ghostNotes.pitches : []);
+        const ghostCommonTones = new Set(ghostNotes ? ghostNotes.commonTones : []);
+        const { minPitch, maxPitch } = this.getPitchRange();
         const whiteNotes = range(minPitch, maxPitch + 1).filter(d => !Midi.isSharp(d));
+        // Layout is computed along the keyboard (low to high) and across the
+        // keys, vertical keyboards have the low keys at the bottom
+        const length = vertical ? height : width;
+        const depth = vertical ? Math.min(width - 100, 220) : height;
+        const place = (along, across, alongSize, acrossSize) => vertical
+            ? { x: across, y: length - along - alongSize, width: acrossSize, height: alongSize }
+            : { x: along, y: across, width: alongSize, height: acrossSize };
+        const point = (along, across) => vertical ? `${across} ${length - along}` : `${along} ${across}`;
         // Keys
-        const keyWidth = width / whiteNotes.length;
+        const keyWidth = length / whiteNotes.length;
         const blackKeyWidth = keyWidth * 0.9;
         const whiteKeys = [];
         const blackKeys = [];
         const labels = [];
+        const ghostMarkers = [];
+        // Octave boundaries, including the range start and end
         const octaveMarkerPositions = [];
         let currentX = 0;
-        for (let octave = -1; octave < 11; octave++) {
-            for (let key = 0; key < 12; key++) {
-                const pitch = octave * 12 + key;
-                if (pitch < minPitch || pitch > maxPitch) {
-                    continue;
-                }
-                const black = Midi.isSharp(pitch);
-                const note = Midi.getMidiNoteByNr(pitch);
-                // Position and size
-                const x = black ? currentX - (0.5 * blackKeyWidth) : currentX;
-                let y = black ? 0 : height * 0.02;
-                const w = black ? blackKeyWidth : keyWidth;
-                const h = black ? height * 0.6 : height * 0.98;
-                if (pitch % 12 === 0) {
-                    octaveMarkerPositions.push({ octave, x });
-                }
-                // Colors
-                let color = '#f8f8f8';
-                let textColor = '#111';
-                let borderRadius = 5;
-                if (currentNotes.has(pitch)) {
-                    color = 'steelblue';
-                } else {
-                    color = black ? '#222' : '#f8f8f8';
-                    textColor = black ? '#eee' : '#222';
+        for (let pitch = minPitch; pitch <= maxPitch; pitch++) {
+            const black = Midi.isSharp(pitch);
+            const note = Midi.getMidiNoteByNr(pitch);
+            // Position and size
+            const x = black ? currentX - (0.5 * blackKeyWidth) : currentX;
+            const y = black ? 0 : depth * 0.02;
+            const w = black ? blackKeyWidth : keyWidth;
+            const h = black ? depth * 0.6 : depth * 0.98;
+            if (pitch % 12 === 0 || pitch === minPitch) {
+                octaveMarkerPositions.push({ octave: Math.floor(pitch / 12) - 1, x });
+            }
+            // Colors
+            let color = colors.whiteKey;
+            // Labels on colored keys are chord-tone roles or note names
+            let textColor = colors.roleLabel;
+            let borderRadius = 5;
+            const inScale = scalePitchClasses && scalePitchClasses.has(pitch % 12);
+            const isScaleRoot = scale && scale.rootPitchClass === pitch % 12;
+            if (quizResult && quizResult.wrong.has(pitch)) {
+                color = colors.wrong;
+            } else if (quizResult && quizResult.correct.has(pitch)) {
+                color = colors.success;
+            } else if (quizResult && quizResult.missing.has(pitch)) {
+                // Target notes that are not played yet
+                color = colors.missing;
+            } else if (scale && !inScale && currentNotes.has(pitch)) {
+                // Played notes outside the explored scale
+                color = colors.outOfScale;
+            } else if (currentNotes.has(pitch)) {
+                const role = noteLabels ? noteLabels.get(pitch) : undefined;
+                color = getKeyHighlightColor(highlightMode, currentNotes.get(pitch), role, colors);
+                if (highlightMode !== 'default') {
+                    textColor = isLightColor(color) ? colors.whiteKeyText : colors.blackKeyText;
                 }
-                const newKey = (
-                    <rect
-                        key={pitch}
-                        width={w}
-                        height={h}
-                        x={x}
-                        y={y}
-                        rx={borderRadius}
-                        ry={borderRadius}
-                        fill={color}
-                        stroke='#888'
-                        strokeWidth='0.5'
-                    >
-                        <title>
-                            {note.label} (MIDI {pitch})
-                        </title>
-                    </rect>
-                );
-                labels.push((
-                    <text
+            } else if (soundingNotes.has(pitch)) {
+                // Released but sustained by a pedal
+                color = colors.sounding;
+            } else if (playbackNotes.has(pitch)) {
+                // Played back from a MIDI file
+                color = colors.playback;
+            } else if (highlightedPitches.has(pitch)) {
+                color = colors.highlighted;
+            } else if (inScale) {
+                // Tint keys that belong to the current scale
+                color = black ? colors.blackScaleKey : colors.whiteScaleKey;
+                textColor = black ? colors.blackKeyText : colors.whiteKeyText;
+            } else {
+                color = black ? colors.blackKey : colors.whiteKey;
+                textColor = black ? colors.blackKeyText : colors.whiteKeyText;
+            }
+            const newKey = (
+                <rect
+                    key={pitch}
+                    {...place(x, y, w, h)}
+                    rx={borderRadius}
+                    ry={borderRadius}
+                    fill={color}
+                    stroke={isScaleRoot ? colors.root : colors.keyBorder}
+                    strokeWidth={isScaleRoot ? 2 : 0.5}
+                    data-pitch={pitch}
+                >
+                    <title>
+                        {note.label} (MIDI {pitch})
+                    </title>
+                </rect>
+            );
+            // Chord-tone roles and scale degrees replace the note name
+            const hasRole = noteLabels && noteLabels.has(pitch);
+            let label = note.name;
+            if (hasRole) {
+                label = noteLabels.get(pitch);
+            } else if (inScale && scale) {
+                label = scale.degrees.get(pitch % 12);
+            }
+            const labelPosition = place(x + 0.5 * w, black ? h - 18 : h - 10, 0, 0);
+            labels.push((
+                <text
+                    key={pitch}
+                    fontSize='10px'
+                    style={{
+                        fill: textColor,
+                        fontWeight: hasRole ? 'bold' : 'normal',
+                        textAnchor: vertical ? 'end' : 'middle',
+                        alignmentBaseline: vertical ? 'middle' : 'baseline',
+                        writingMode: vertical ? 'horizontal-tb' : 'vertical-lr',
+                        textOrientation: 'upright'
+                    }}
+                    x={labelPosition.x}
+                    y={labelPosition.y}
+                >
+                    {label}
+                </text>
+            ));
+            if (ghostPitches.has(pitch)) {
+                // Filled for common tones that are held, outlined for keys
+                // that need to be pressed
+                const common = ghostCommonTones.has(pitch);
+                const markerPosition = place(x + 0.5 * w, black ? h - 32 : h - 28, 0, 0);
+                ghostMarkers.push((
+                    <circle
                         key={pitch}
-                        fontSize='10px'
-                        style={{
-                            fill: textColor,
-                            textAnchor: 'middle',
-                            alignmentBaseline: 'baseline',
-                            writingMode: 'vertical-lr',
-                            textOrientation: 'upright'
-                        }}
-                        x={x + 0.5 * w}
-                        y={black ? h - 18 : h - 10}
-                    >
-                        {note.name}
-                    </text>
+                        className='ghostMarker'
+                        cx={markerPosition.x}
+                        cy={markerPosition.y}
+                        r={Math.min(6, w * 0.3)}
+                        fill={common ? colors.playback : 'none'}
+                        stroke={common ? colors.playback : colors.highlighted}
+                        strokeWidth={2}
+                        strokeDasharray={common ? 'none' : '3 2'}
+                    />
                 ));
-                if (black) {
-                    blackKeys.push(newKey);
-                } else {
-                    whiteKeys.push(newKey);
-                    currentX += keyWidth;
-                }
+            }
+            if (black) {
+                blackKeys.push(newKey);
+            } else {
+                whiteKeys.push(newKey);
+                currentX += keyWidth;
             }
         }
+        octaveMarkerPositions.push({ x: currentX });
         // Octave indicators
         const octaveMarkers = [];
         const octaveMarkerLabels = [];
-        const yPos = height + 15;
+        const markerPos = depth + 15;
         for (let i = 0; i < octaveMarkerPositions.length - 1; i++) {
             const left = octaveMarkerPositions[i].x + 2;
             const right = octaveMarkerPositions[i + 1].x - 2;
+            // Skip partial octaves at the range ends that are too small
+            if (right - left < 60) {
+                continue;
+            }
             const d = `
-                M ${left} ${yPos - 10}
-                L ${left} ${yPos}
-                L ${right} ${yPos}
-                L ${right} ${yPos - 10}
+                M ${point(left, markerPos - 10)}
+                L ${point(left, markerPos)}
+                L ${point(right, markerPos)}
+                L ${point(right, markerPos - 10)}
             `;
             octaveMarkers.push((
                 <path
                     key={d}
                     fill='none'
-                    stroke='#888'
+                    stroke={colors.keyBorder}
                     d={d}
                 />
             ));
+            const labelPosition = place((left + right) / 2, vertical ? markerPos + 6 : markerPos + 12, 0, 0);
             octaveMarkerLabels.push((
                 <text
                     key={d}
-                    textAnchor='middle'
-                    x={(left + right) / 2}
-                    y={yPos + 12}
+                    textAnchor={vertical ? 'start' : 'middle'}
+                    dominantBaseline={vertical ? 'middle' : 'auto'}
+                    x={labelPosition.x}
+                    y={labelPosition.y}
                 >
-                    Octave {octaveMarkerPositions[i].octave - 1}
+                    Octave {octaveMarkerPositions[i].octave}
                 </text>
             ));
         }
@@ -135,6 +538,12 @@ export default class PianoKeyboard extends View {
                 <svg
                     width={viewWidth}
                     height={viewHeight}
+                    style={{ touchAction: 'none' }}
+                    onPointerDown={this.onPointerDown}
+                    onPointerMove={this.onPointerMove}
+                    onPointerUp={this.onPointerUp}
+                    onPointerCancel={this.onPointerUp}
+                    onPointerLeave={this.onPointerUp}
                 >
                     <g
                         ref={n => this.svg = n}
@@ -143,11 +552,82 @@ export default class PianoKeyboard extends View {
                         {whiteKeys}
                         {blackKeys}
                         {labels}
+                        {ghostMarkers}
                         {octaveMarkers}
                         {octaveMarkerLabels}
+                        {this.getLegend(markerPos)}
                     </g>
                 </svg>
+                {this.getRangeControlHTML()}
+                {this.getSizeControlHTML()}
             </div >
         );
     }
+
+    /**
+     * Returns the HTML (JSX) for the range and orientation controls
+     */
+    getRangeControlHTML = () => {
+        const { rangePreset, customRange, customRangeInput, vertical, highlightMode } = this.state;
+        const pitchInput = (bound) => (
+            <input
+                type='number'
+                min={0}
+                max={127}
+                value={customRangeInput[bound]}
+                title={Midi.getMidiNoteByNr(customRange[bound]).label}
+                onChange={e => this.setCustomRangeInput(bound, e.target.value)}
+                onBlur={this.commitCustomRange}
+                onKeyDown={e => e.key === 'Enter' && this.commitCustomRange()}
+            />
+        );
+        return (
+            <div className='viewControls'>
+                <label>
+                    Range
+                    <select
+                        value={rangePreset}
+                        onChange={e => this.setRangePreset(e.target.value)}
+                    >
+                        {[...KEYBOARD_RANGES.keys()].map(d => (
+                            <option key={d} value={d}>{d}</option>
+                        ))}
+                        <option value='auto'>Fit to played notes</option>
+                        <option value='custom'>Custom</option>
+                    </select>
+                </label>
+                {rangePreset === 'custom' && (
+                    <span>
+                        <label>
+                            From {Midi.getMidiNoteByNr(customRange.minPitch).label}
+                            {pitchInput('minPitch')}
+                        </label>
+                        <label>
+                            to {Midi.getMidiNoteByNr(customRange.maxPitch).label}
+                            {pitchInput('maxPitch')}
+                        </label>
+                    </span>
+                )}
+                <label>
+                    <input
+                        type='checkbox'
+                        checked={vertical}
+                        onChange={e => this.setVertical(e.target.checked)}
+                    />
+                    Vertical
+                </label>
+                <label>
+                    Colors
+                    <select
+                        value={highlightMode}
+                        onChange={e => this.setHighlightMode(e.target.value)}
+                    >
+                        {[...HIGHLIGHT_MODES].map(([mode, name]) => (
+                            <option key={mode} value={mode}>{name}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+        );
+    }
 }
@@ -0,0 +1,208 @@
+import React from 'react';
+import View from '../lib/ui/View';
+import { scaleLinear } from 'd3-scale';
+import { extent } from 'd3-array';
+import { setupCanvas, drawRowBands, drawNoteTrapezoid, clipLeftRight, drawCurrentTimeIndicator } from '../lib/ui/Graphics';
+import { Midi } from 'musicvis-lib';
+import { getChordSegments } from '../lib/harmony/ChordSegmentation';
+
+/**
+ * Minimum number of pitches shown, so a few notes do not fill the whole view
+ */
+const MIN_PITCH_RANGE = 24;
+
+/**
+ * Scrolling piano roll of the recorded notes with the detected chord for each
+ * harmonic segment above it
+ */
+export default class PianoRoll extends View {
+
+    constructor(props) {
+        const margin = { top: 35, right: 20, bottom: 10, left: 40 };
+        super(props, margin, 1, 1, true, true);
+        this.state = {
+            ...this.state,
+            // Number of seconds visible at once
+            timeWindow: 10,
+            paused: false,
+            pausedTime: 0
+        };
+        // Analysis of the notes, see getNoteAnalysis
+        this.analysis = null;
+    }
+
+    componentDidMount() {
+        this.initialize();
+        this.animationFrame = requestAnimationFrame(this.draw);
+    }
+
+    componentWillUnmount() {
+        cancelAnimationFrame(this.animationFrame);
+    }
+
+    componentDidUpdate() {
+        this.resizeComponent();
+    }
+
+    onResize = () => this.initialize();
+
+    initialize = () => {
+        this.ctx = setupCanvas(this.canvas);
+    }
+
+    /**
+     * Returns the time in seconds that is currently shown at the playhead,
+     * uses the same time base as the MIDI notes
+     * @returns {number} time in seconds
+     */
+    getCurrentTime = () => this.state.paused ? this.state.pausedTime : performance.now() / 1000;
+
+    /**
+     * Returns the shown pitch range, spanning all recorded notes and at
+     * least MIN_PITCH_RANGE pitches
+     * @param {Note[]} notes notes
+     * @returns {number[]} [minPitch, maxPitch]
+     */
+    getPitchRange(notes) {
+        let [minPitch, maxPitch] = notes.length > 0 ? extent(notes, d => d.pitch) : [60, 60];
+        const missing = MIN_PITCH_RANGE - (maxPitch - minPitch + 1);
+        if (missing > 0) {
+            minPitch -= Math.floor(missing / 2);
+            maxPitch += Math.ceil(missing / 2);
+        }
+        return [minPitch, maxPitch];
+    }
+
+    /**
+     * Returns the notes that can still become visible, their chord segments
+     * and the pitch range. Chord detection is too slow to run in every
+     * animation frame, so this is cached and only computed again when the
+     * notes or the time window change. The shown time range only moves
+     * forward, so notes that ended before it can be dropped.
+     * @param {Note[]} notes recorded notes
+     * @param {number} minTime start of the shown time range
+     * @returns {Object} {notes, recentNotes, timeWindow, segments, pitchRange}
+     */
+    getNoteAnalysis(notes, minTime) {
+        const { timeWindow } = this.state;
+        const analysis = this.analysis;
+        if (!analysis || analysis.notes !== notes || analysis.timeWindow !== timeWindow) {
+            const recentNotes = notes.filter(d => d.end === null || d.end >= minTime);
+            this.analysis = {
+                notes,
+                recentNotes,
+                timeWindow,
+                // Unfinished notes do not end, drawing clips the segments
+                segments: getChordSegments(recentNotes),
+                pitchRange: this.getPitchRange(notes)
+            };
+        }
+        return this.analysis;
+    }
+
+    /**
+     * Redraws the piano roll, called in each animation frame so it keeps
+     * scrolling even without new input
+     */
+    draw = () => {
+        this.animationFrame = requestAnimationFrame(this.draw);
+        const ctx = this.ctx;
+        if (!ctx) {
+            return;
+        }
+        const { viewWidth, viewHeight, width, height, margin, timeWindow } = this.state;
+        const { midiLiveData, theme } = this.props;
+        const { colors } = theme;
+        const now = this.getCurrentTime();
+        const x = scaleLinear()
+            .domain([now - timeWindow * 0.9, now + timeWindow * 0.1])
+            .range([0, width]);
+        const [minTime, maxTime] = x.domain();
+        const { recentNotes, segments, pitchRange } = this.getNoteAnalysis(midiLiveData, minTime);
+        const [minPitch, maxPitch] = pitchRange;
+        const velocityColor = scaleLinear()
+            .domain([0, 127])
+            .range([colors.velocityLow, colors.velocityHigh]);
+        const rows = maxPitch - minPitch + 1;
+        const rowHeight = height / rows;
+        ctx.clearRect(0, 0, viewWidth, viewHeight);
+        drawRowBands(ctx, margin, rows, rowHeight, width, colors.rowBand);
+        // Notes, unfinished ones end at the current time
+        for (let note of recentNotes) {
+            if (note.start > maxTime || (note.end !== null && note.end < minTime)) {
+                continue;
+            }
+            const end = note.end === null ? now : Math.min(note.end, now);
+            if (end < note.start) {
+                continue;
+            }
+            const startX = margin.left + x(note.start);
+            const y = margin.top + (maxPitch - note.pitch) * rowHeight;
+            ctx.fillStyle = velocityColor(note.velocity);
+            drawNoteTrapezoid(ctx, startX, y, Math.max(1, x(end) - x(note.start)), rowHeight, rowHeight / 2);
+        }
+        // Chord names for harmonic segments
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        for (let segment of segments) {
+            if (segment.start > maxTime || segment.end < minTime) {
+                continue;
+            }
+            const startX = margin.left + x(segment.start);
+            ctx.fillStyle = colors.gridLine;
+            ctx.fillRect(startX, margin.top - 20, 1, height + 20);
+            ctx.fillStyle = colors.canvasText;
+            ctx.fillText(segment.chords[0], startX + 3, margin.top - 6);
+        }
+        clipLeftRight(ctx, { ...margin, top: 0 }, width, viewHeight);
+        // Octave labels
+        ctx.fillStyle = colors.canvasMutedText;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let pitch = minPitch; pitch <= maxPitch; pitch++) {
+            if (pitch % 12 === 0) {
+                const y = margin.top + (maxPitch - pitch + 0.5) * rowHeight;
+                ctx.fillText(Midi.getMidiNoteByNr(pitch).label, margin.left - 6, y);
+            }
+        }
+        drawCurrentTimeIndicator(ctx, now, x, height, margin, colors.canvasText);
+    }
+
+    togglePaused = () => {
+        this.setState({
+            paused: !this.state.paused,
+            pausedTime: performance.now() / 1000
+        });
+    }
+
+    render() {
+        const { rowSpan, columnSpan, viewWidth, viewHeight, paused, timeWindow } = this.state;
+        return (
+            <div
+                className='View PianoRoll'
+                style={{ gridArea: `span ${rowSpan} / span ${columnSpan}` }}
+            >
+                <canvas
+                    ref={n => this.canvas = n}
+                    style={{ width: viewWidth, height: viewHeight }}
+                />
+                <div className='viewControls'>
+                    <button onClick={this.togglePaused}>
+                        {paused ? 'Resume' : 'Pause'}
+                    </button>
+                    <label title='Visible time in seconds'>
+                        Time window
+                        <input
+                            type='number'
+                            min={2}
+                            max={120}
+                            value={timeWindow}
+                            onChange={e => this.setState({ timeWindow: Math.max(2, +e.target.value) })}
+                        />
+                    </label>
+                </div>
+                {this.getSizeControlHTML()}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,144 @@
+import React, { PureComponent } from 'react';
+import { QUIZ_CHORD_TYPES, QUIZ_ROOTS, INVERSION_NAMES, getQuestionName } from '../lib/practice/ChordQuiz';
+
+/**
+ * Practice mode that asks for chords and shows statistics per chord type
+ */
+export default class QuizPanel extends PureComponent {
+
+    /**
+     * Toggles a value in one of the settings' arrays, at least one value
+     * stays enabled
+     * @param {string} name setting name
+     * @param {*} value value to toggle
+     */
+    toggleSetting(name, value) {
+        const { settings, setSettings } = this.props;
+        const values = settings[name].includes(value)
+            ? settings[name].filter(d => d !== value)
+            : [...settings[name], value];
+        if (values.length > 0) {
+            setSettings({ [name]: values });
+        }
+    }
+
+    /**
+     * Creates checkboxes for one of the settings' arrays
+     * @param {string} name setting name
+     * @param {Array} values possible values
+     * @param {Function} format returns the label for a value
+     * @returns {JSX.Element} checkboxes
+     */
+    getCheckboxes(name, values, format = d => d) {
+        const { settings } = this.props;
+        return values.map(d => (
+            <label key={d}>
+                <input
+                    type='checkbox'
+                    checked={settings[name].includes(d)}
+                    onChange={() => this.toggleSetting(name, d)}
+                />
+                {format(d)}
+            </label>
+        ));
+    }
+
+    getStatsTable() {
+        const { stats, resetStats } = this.props;
+        const chordTypes = Object.keys(stats);
+        if (chordTypes.length === 0) {
+            return null;
+        }
+        return (
+            <div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Chord type</th>
+                            <th>Asked</th>
+                            <th>Correct at first try</th>
+                            <th>Avg. time</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {chordTypes.map(d => {
+                            const { asked, correct, solved, totalTime } = stats[d];
+                            return (
+                                <tr key={d}>
+                                    <td>{d}</td>
+                                    <td>{asked}</td>
+                                    <td>{asked > 0 ? `${Math.round(correct / asked * 100)} %` : '-'}</td>
+                                    <td>{solved > 0 ? `${(totalTime / solved).toFixed(1)} s` : '-'}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+                <button onClick={resetStats}>
+                    Reset statistics
+                </button>
+            </div>
+        );
+    }
+
+    render() {
+        const { isActive, question, result, isSolved, settings, setSettings, start, stop, skip, listen } = this.props;
+        let prompt = '';
+        if (question) {
+            prompt = settings.earTraining && !isSolved
+                ? 'Play the chord you hear'
+                : `Play ${getQuestionName(question)} (${question.symbol})`;
+        }
+        let feedback = '';
+        if (isSolved) {
+            feedback = 'Correct!';
+        } else if (result) {
+            feedback = result.message || (result.wrong.size > 0 ? 'Wrong notes' : '');
+        }
+        return (
+            <div className='QuizPanel'>
+                {!isActive && (
+                    <button onClick={start}>
+                        Start chord quiz
+                    </button>
+                )}
+                {isActive && (
+                    <div>
+                        <span className='prompt'>{question ? prompt : 'No chords match the settings'}</span>
+                        <span className={isSolved ? 'feedback correct' : 'feedback'}>{feedback}</span>
+                        <button onClick={listen} disabled={!question}>
+                            Listen
+                        </button>
+                        <button onClick={skip}>
+                            {isSolved ? 'Next' : 'Skip'}
+                        </button>
+                        <button onClick={stop}>
+                            Stop
+                        </button>
+                    </div>
+                )}
+                <details>
+                    <summary>Quiz settings and statistics</summary>
+                    <div>
+                        {this.getCheckboxes('chordTypes', QUIZ_CHORD_TYPES)}
+                    </div>
+                    <div>
+                        {this.getCheckboxes('roots', QUIZ_ROOTS)}
+                    </div>
+                    <div>
+                        {this.getCheckboxes('inversions', [0, 1, 2, 3], d => INVERSION_NAMES[d])}
+                        <label title='Hide the chord name and play it instead'>
+                            <input
+                                type='checkbox'
+                                checked={settings.earTraining}
+                                onChange={e => setSettings({ earTraining: e.target.checked })}
+                            />
+                            Ear training
+                        </label>
+                    </div>
+                    {this.getStatsTable()}
+                </details>
+            </div>
+        );
+    }
+}
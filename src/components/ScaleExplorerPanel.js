@@ -0,0 +1,80 @@
+import React, { PureComponent } from 'react';
+import { getScaleGroups, SCALE_ROOTS } from '../lib/harmony/ScaleExplorer';
+
+/**
+ * Maximum number of matching scales that are listed
+ */
+const MAX_MATCHES = 12;
+
+/**
+ * Scale and mode explorer: selects a scale that is shown on the keyboard,
+ * flags held notes outside of it and lists scales that contain all held notes
+ */
+export default class ScaleExplorerPanel extends PureComponent {
+
+    render() {
+        const { settings, scale, outOfScaleNotes, matchingScales, setSettings } = this.props;
+        const scaleGroups = getScaleGroups();
+        return (
+            <div className='ScaleExplorerPanel'>
+                <div>
+                    <label>
+                        <input
+                            type='checkbox'
+                            checked={settings.enabled}
+                            onChange={e => setSettings({ enabled: e.target.checked })}
+                        />
+                        Show scale
+                    </label>
+                    <select
+                        value={settings.root}
+                        onChange={e => setSettings({ root: e.target.value, enabled: true })}
+                    >
+                        {SCALE_ROOTS.map(d => (
+                            <option key={d} value={d}>{d}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={settings.type}
+                        onChange={e => setSettings({ type: e.target.value, enabled: true })}
+                    >
+                        {scaleGroups.map(group => (
+                            <optgroup key={group.name} label={group.name}>
+                                {group.scales.map(d => (
+                                    <option key={d} value={d}>{d}</option>
+                                ))}
+                            </optgroup>
+                        ))}
+                    </select>
+                    {scale && (
+                        <span className='scaleNotes'>
+                            {scale.notes.join(' ')}
+                        </span>
+                    )}
+                </div>
+                {scale && outOfScaleNotes.length > 0 && (
+                    <div className='outOfScale'>
+                        Not in {scale.name}: {outOfScaleNotes.map(d => d.getName()).join(' ')}
+                    </div>
+                )}
+                {matchingScales.length > 0 && (
+                    <div>
+                        Scales with these notes: {matchingScales.slice(0, MAX_MATCHES).map(d => (
+                            <button
+                                key={d.name}
+                                className={scale && d.name === scale.name ? 'selected' : ''}
+                                title='Show this scale on the keyboard'
+                                onClick={() => setSettings({ root: d.root, type: d.type, enabled: true })}
+                            >
+                                {d.name}
+                            </button>
+                        ))}
+                        {matchingScales.length > MAX_MATCHES && (
+                            <span> and {matchingScales.length - MAX_MATCHES} more</span>
+                        )}
+                    </div>
+                )}
+            </div>
+        );
+    }
+}
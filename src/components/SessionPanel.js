@@ -0,0 +1,130 @@
+import React, { PureComponent } from 'react';
+
+/**
+ * Formats a duration as m:ss
+ * @param {number} seconds duration in seconds
+ * @returns {string} formatted duration
+ */
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = `${Math.floor(seconds % 60)}`.padStart(2, '0');
+    return `${minutes}:${rest}`;
+}
+
+/**
+ * Recording controls and a browser for the sessions stored in the browser,
+ * sessions can be loaded, renamed, deleted and exported or imported as JSON
+ */
+export default class SessionPanel extends PureComponent {
+
+    onFileChange = (event) => {
+        const file = event.target.files[0];
+        if (file) {
+            this.props.importSession(file);
+        }
+        // Allow to import the same file again
+        event.target.value = '';
+    }
+
+    /**
+     * Asks for a new name
+     * @param {Object} session session summary
+     */
+    rename = (session) => {
+        const name = window.prompt('Session name', session.name);
+        if (name !== null && name.trim() !== '') {
+            this.props.renameSession(session.id, name.trim());
+        }
+    }
+
+    /**
+     * Deletes a session after confirmation
+     * @param {Object} session session summary
+     */
+    delete = (session) => {
+        if (window.confirm(`Delete the session "${session.name}"?`)) {
+            this.props.deleteSession(session.id);
+        }
+    }
+
+    render() {
+        const {
+            sessions,
+            recordingSession,
+            loadedSessionId,
+            error,
+            startRecording,
+            stopRecording,
+            loadSession,
+            exportSession
+        } = this.props;
+        const recordingId = recordingSession ? recordingSession.id : null;
+        return (
+            <div className='SessionPanel'>
+                {recordingSession ? (
+                    <span>
+                        <span className='recording'>Recording "{recordingSession.name}"</span>
+                        <button onClick={stopRecording}>
+                            Stop recording
+                        </button>
+                    </span>
+                ) : (
+                    <button
+                        onClick={startRecording}
+                        title='Record the played notes and chords, they are saved in this browser automatically'
+                    >
+                        Start recording
+                    </button>
+                )}
+                {error && (
+                    <span className='error'>{error}</span>
+                )}
+                <details>
+                    <summary>Saved sessions ({sessions.length})</summary>
+                    <table>
+                        <tbody>
+                            {sessions.map(d => (
+                                <tr key={d.id} className={d.id === loadedSessionId ? 'loaded' : ''}>
+                                    <td>{d.name}</td>
+                                    <td>{new Date(d.createdAt).toLocaleString()}</td>
+                                    <td>{formatDuration(d.duration)}</td>
+                                    <td>{d.noteCount} notes</td>
+                                    <td>{d.chordCount} chords</td>
+                                    <td>
+                                        <button
+                                            onClick={() => loadSession(d.id)}
+                                            disabled={d.id === recordingId}
+                                            title='Show the notes and chords of this session'
+                                        >
+                                            Load
+                                        </button>
+                                        <button onClick={() => this.rename(d)}>
+                                            Rename
+                                        </button>
+                                        <button onClick={() => exportSession(d.id)}>
+                                            Export
+                                        </button>
+                                        <button
+                                            onClick={() => this.delete(d)}
+                                            disabled={d.id === recordingId}
+                                        >
+                                            Delete
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <label className='fileInput'>
+                        Import session (JSON)
+                        <input
+                            type='file'
+                            accept='.json,application/json'
+                            onChange={this.onFileChange}
+                        />
+                    </label>
+                </details>
+            </div>
+        );
+    }
+}
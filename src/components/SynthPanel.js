@@ -0,0 +1,72 @@
+import React, { PureComponent } from 'react';
+import { SOUND_TYPES } from '../lib/audio/Synth';
+
+/**
+ * Settings for the built-in synthesizer
+ */
+export default class SynthPanel extends PureComponent {
+
+    /**
+     * Creates a number input for an envelope parameter
+     * @param {string} name setting name
+     * @param {string} label label text
+     * @param {number} max maximum value
+     * @returns {JSX.Element} input
+     */
+    getEnvelopeInput(name, label, max) {
+        const { settings, setSettings } = this.props;
+        return (
+            <label>
+                {label}
+                <input
+                    type='number'
+                    min={0}
+                    max={max}
+                    step={0.01}
+                    value={settings[name]}
+                    onChange={e => setSettings({ [name]: Math.max(0, +e.target.value) })}
+                />
+            </label>
+        );
+    }
+
+    render() {
+        const { settings, setSettings } = this.props;
+        return (
+            <div className='SynthPanel'>
+                <label>
+                    <input
+                        type='checkbox'
+                        checked={settings.enabled}
+                        onChange={e => setSettings({ enabled: e.target.checked })}
+                    />
+                    Sound
+                </label>
+                <select
+                    value={settings.soundType}
+                    onChange={e => setSettings({ soundType: e.target.value })}
+                    disabled={!settings.enabled}
+                >
+                    {SOUND_TYPES.map(d => (
+                        <option key={d} value={d}>{d}</option>
+                    ))}
+                </select>
+                {this.getEnvelopeInput('attack', 'A', 5)}
+                {this.getEnvelopeInput('decay', 'D', 5)}
+                {this.getEnvelopeInput('sustain', 'S', 1)}
+                {this.getEnvelopeInput('release', 'R', 5)}
+                <label>
+                    Volume
+                    <input
+                        type='range'
+                        min={0}
+                        max={1}
+                        step={0.01}
+                        value={settings.volume}
+                        onChange={e => setSettings({ volume: +e.target.value })}
+                    />
+                </label>
+            </div>
+        );
+    }
+}
@@ -0,0 +1,78 @@
+import React, { PureComponent } from 'react';
+import { BUILT_IN_THEMES, COLOR_LABELS } from '../lib/ui/Themes';
+
+/**
+ * Selects the color theme and edits user-defined themes
+ */
+export default class ThemePanel extends PureComponent {
+
+    /**
+     * Asks for a name and creates a new theme from the current one
+     */
+    addTheme = () => {
+        const name = window.prompt('Theme name', `${this.props.theme.name} (custom)`);
+        if (name !== null && name.trim() !== '') {
+            this.props.addTheme(name.trim());
+        }
+    }
+
+    /**
+     * Deletes the selected custom theme after confirmation
+     */
+    deleteTheme = () => {
+        const { theme, deleteTheme } = this.props;
+        if (window.confirm(`Delete the theme "${theme.name}"?`)) {
+            deleteTheme(theme.id);
+        }
+    }
+
+    render() {
+        const { settings, theme, setThemeId, setColor } = this.props;
+        const isCustom = settings.customThemes.some(d => d.id === settings.themeId);
+        return (
+            <div className='ThemePanel'>
+                <label>
+                    Theme
+                    <select
+                        value={settings.themeId}
+                        onChange={e => setThemeId(e.target.value)}
+                    >
+                        <option value='auto'>System default</option>
+                        {BUILT_IN_THEMES.map(d => (
+                            <option key={d.id} value={d.id}>{d.name}</option>
+                        ))}
+                        {settings.customThemes.map(d => (
+                            <option key={d.id} value={d.id}>{d.name}</option>
+                        ))}
+                    </select>
+                </label>
+                <button
+                    title='Create a theme with the current colors'
+                    onClick={this.addTheme}
+                >
+                    New theme
+                </button>
+                {isCustom && (
+                    <button onClick={this.deleteTheme}>
+                        Delete theme
+                    </button>
+                )}
+                {isCustom && (
+                    <details>
+                        <summary>Colors</summary>
+                        {Object.entries(COLOR_LABELS).map(([color, label]) => (
+                            <label key={color}>
+                                <input
+                                    type='color'
+                                    value={theme.colors[color]}
+                                    onChange={e => setColor(theme.id, color, e.target.value)}
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </details>
+                )}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,79 @@
+import React, { PureComponent } from 'react';
+
+/**
+ * Voice-leading rules for part-writing exercises and the result of the most
+ * recent chord change
+ */
+export default class VoiceLeadingPanel extends PureComponent {
+
+    /**
+     * Renders a checkbox with a number input for a rule that has a limit in
+     * semitones
+     * @param {string} rule 'maxLeap' or 'maxSpacing'
+     * @param {string} label label
+     * @param {string} title tooltip
+     * @returns {JSX.Element} label
+     */
+    getLimitInput(rule, label, title) {
+        const { rules, setRules } = this.props;
+        const enabled = rules[rule] !== null;
+        return (
+            <label title={title}>
+                <input
+                    type='checkbox'
+                    checked={enabled}
+                    onChange={e => setRules({ [rule]: e.target.checked ? 12 : null })}
+                />
+                {label}
+                <input
+                    type='number'
+                    min={1}
+                    max={36}
+                    disabled={!enabled}
+                    value={enabled ? rules[rule] : 12}
+                    onChange={e => setRules({ [rule]: Math.max(1, Math.min(36, +e.target.value)) })}
+                />
+            </label>
+        );
+    }
+
+    render() {
+        const { rules, transition, setRules } = this.props;
+        const checkbox = (rule, label) => (
+            <label>
+                <input
+                    type='checkbox'
+                    checked={rules[rule]}
+                    onChange={e => setRules({ [rule]: e.target.checked })}
+                />
+                {label}
+            </label>
+        );
+        return (
+            <div className='VoiceLeadingPanel'>
+                <div>
+                    Voice-leading rules:
+                    {checkbox('parallelFifths', 'No parallel fifths')}
+                    {checkbox('parallelOctaves', 'No parallel octaves')}
+                    {checkbox('voiceOverlap', 'No overlap')}
+                    {this.getLimitInput('maxLeap', 'Max. leap', 'Largest allowed leap of a voice in semitones')}
+                    {this.getLimitInput('maxSpacing', 'Max. spacing', 'Largest allowed distance between adjacent upper voices in semitones')}
+                </div>
+                {transition && (
+                    <div>
+                        {transition.from.chords[0]} → {transition.to.chords[0]}: {transition.displacement} semitones total movement
+                        {transition.violations.length === 0
+                            ? <span className='ok'>, no rule violations</span>
+                            : (
+                                <ul>
+                                    {transition.violations.map(d => (
+                                        <li key={d.message} className={d.rule}>{d.message}</li>
+                                    ))}
+                                </ul>
+                            )}
+                    </div>
+                )}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,168 @@
+import React from 'react';
+import View from '../lib/ui/View';
+import { scaleLinear } from 'd3-scale';
+import { extent } from 'd3-array';
+import { Midi } from 'musicvis-lib';
+import { analyzeProgression } from '../lib/harmony/VoiceLeading';
+
+/**
+ * Shows how the voices move between consecutive chords: each chord is a
+ * column of notes, lines connect the matched voices. Parallel fifths and
+ * octaves are red, other rule violations orange, the total movement is shown
+ * below each chord change.
+ */
+export default class VoiceLeadingView extends View {
+
+    constructor(props) {
+        const margin = { top: 30, right: 40, bottom: 35, left: 20 };
+        super(props, margin, 1, 1, true, true);
+        this.state = {
+            ...this.state,
+            chordCount: 6
+        };
+    }
+
+    componentDidUpdate() {
+        this.resizeComponent();
+    }
+
+    /**
+     * Returns the color of each voice's motion line, parallels have
+     * precedence over other violations
+     * @param {Object} transition transition, see analyzeProgression
+     * @returns {string[]} color for each motion
+     */
+    getMotionColors(transition) {
+        const { colors } = this.props.theme;
+        const motionColors = transition.motions.map(() => colors.keyBorder);
+        for (let violation of transition.violations) {
+            const isParallel = violation.rule === 'parallelFifths' || violation.rule === 'parallelOctaves';
+            for (let voice of violation.voices) {
+                if (isParallel) {
+                    motionColors[voice] = colors.wrong;
+                } else if (motionColors[voice] !== colors.wrong) {
+                    motionColors[voice] = colors.warning;
+                }
+            }
+        }
+        return motionColors;
+    }
+
+    render() {
+        const { rowSpan, columnSpan, viewWidth, viewHeight, width, height, margin, chordCount } = this.state;
+        const { chordHistory, rules, theme } = this.props;
+        const { colors } = theme;
+        const entries = chordHistory.slice(-chordCount);
+        const transitions = analyzeProgression(entries, rules);
+        const pitches = entries.flatMap(d => d.notes.map(n => n.pitch));
+        const [minPitch, maxPitch] = pitches.length > 0 ? extent(pitches) : [48, 72];
+        const x = scaleLinear()
+            .domain([0, Math.max(1, chordCount - 1)])
+            .range([20, width - 20]);
+        const y = scaleLinear()
+            .domain([minPitch - 2, maxPitch + 2])
+            .range([height, 0]);
+        const elements = [];
+        transitions.forEach((transition, i) => {
+            const motionColors = this.getMotionColors(transition);
+            transition.motions.forEach((motion, voice) => {
+                if (motion.from === null || motion.to === null) {
+                    return;
+                }
+                elements.push((
+                    <line
+                        key={`motion${i}-${voice}`}
+                        x1={x(i)}
+                        y1={y(motion.from)}
+                        x2={x(i + 1)}
+                        y2={y(motion.to)}
+                        stroke={motionColors[voice]}
+                        strokeWidth={motionColors[voice] === colors.keyBorder ? 1.5 : 3}
+                    >
+                        <title>
+                            {[
+                                `${Midi.getMidiNoteByNr(motion.from).label} → ${Midi.getMidiNoteByNr(motion.to).label}`,
+                                ...transition.violations
+                                    .filter(d => d.voices.includes(voice))
+                                    .map(d => d.message)
+                            ].join('\n')}
+                        </title>
+                    </line>
+                ));
+            });
+            elements.push((
+                <text
+                    key={`displacement${i}`}
+                    x={x(i + 0.5)}
+                    y={height + 25}
+                    style={{
+                        fill: transition.violations.length > 0 ? colors.warning : colors.mutedText,
+                        textAnchor: 'middle'
+                    }}
+                >
+                    {transition.displacement} semitones{transition.violations.length > 0 ? `, ${transition.violations.length} ⚠` : ''}
+                </text>
+            ));
+        });
+        entries.forEach((entry, i) => {
+            elements.push((
+                <text
+                    key={`chord${i}`}
+                    x={x(i)}
+                    y={-12}
+                    style={{ fill: colors.text, textAnchor: 'middle' }}
+                >
+                    {entry.chords[0] || '?'}
+                </text>
+            ));
+            for (let note of entry.notes) {
+                elements.push((
+                    <g key={`note${i}-${note.pitch}`}>
+                        <circle
+                            cx={x(i)}
+                            cy={y(note.pitch)}
+                            r={4}
+                            fill={colors.note}
+                        />
+                        <text
+                            x={x(i) + 7}
+                            y={y(note.pitch)}
+                            fontSize='10px'
+                            style={{ fill: colors.mutedText, dominantBaseline: 'middle' }}
+                        >
+                            {Midi.getMidiNoteByNr(note.pitch).label}
+                        </text>
+                    </g>
+                ));
+            }
+        });
+        return (
+            <div
+                className='View VoiceLeadingView'
+                style={{ gridArea: `span ${rowSpan} / span ${columnSpan}` }}
+            >
+                <svg
+                    width={viewWidth}
+                    height={viewHeight}
+                >
+                    <g transform={`translate(${margin.left}, ${margin.top})`}>
+                        {elements}
+                    </g>
+                </svg>
+                <div className='viewControls'>
+                    <label title='Number of recent chords that are shown'>
+                        Chords
+                        <input
+                            type='number'
+                            min={2}
+                            max={16}
+                            value={chordCount}
+                            onChange={e => this.setState({ chordCount: Math.max(2, Math.min(16, +e.target.value)) })}
+                        />
+                    </label>
+                </div>
+                {this.getSizeControlHTML()}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,34 @@
+import React, { PureComponent } from 'react';
+
+/**
+ * Shows the inversion, slash chord and voicing type of the played chord
+ */
+export default class VoicingPanel extends PureComponent {
+
+    render() {
+        const { voicing } = this.props;
+        if (!voicing) {
+            return (
+                <div className='VoicingPanel'>
+                    Voicing: -
+                </div>
+            );
+        }
+        return (
+            <div className='VoicingPanel'>
+                <span title='Chord symbol with the actual bass note'>
+                    {voicing.slashChord}
+                </span>
+                <span>
+                    {voicing.inversion}
+                </span>
+                <span>
+                    {voicing.voicing} voicing
+                </span>
+                <span>
+                    bass {voicing.bass}
+                </span>
+            </div>
+        );
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * Interval in milliseconds in which the playhead is updated
+ */
+const UPDATE_INTERVAL = 20;
+
+/**
+ * Transport for playing back an array of notes, e.g. from a MIDI file.
+ * It only moves the playhead and reports which notes sound at it, also when
+ * paused. The app shows and plays these notes like live input while playing
+ * or while the user is scrubbing, i.e. dragging the playhead.
+ */
+export default class MidiFilePlayer {
+
+    /**
+     * @param {Function} onNotesChange called with a Map pitch->Note of the
+     *      notes at the playhead whenever they change
+     * @param {Function} onStateChange called with {isPlaying, isScrubbing,
+     *      speed} when the transport state changes
+     */
+    constructor(onNotesChange, onStateChange = () => { }) {
+        this._onNotesChange = onNotesChange;
+        this._onStateChange = onStateChange;
+        this.notes = [];
+        this.duration = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.isScrubbing = false;
+        this._playStartTime = 0;
+        this._wallStartTime = 0;
+        this._timer = null;
+        this._soundingNotes = new Map();
+    }
+
+    /**
+     * Loads notes, stops the current playback
+     * @param {Note[]} notes notes sorted by start time
+     * @param {number} duration duration in seconds
+     */
+    load(notes, duration) {
+        this.pause();
+        this.notes = notes;
+        this.duration = duration;
+        this.seek(0);
+    }
+
+    /**
+     * Stops the playback and removes the notes
+     */
+    unload() {
+        this.setScrubbing(false);
+        this.load([], 0);
+    }
+
+    /**
+     * Returns the current playhead position
+     * @returns {number} time in seconds
+     */
+    getCurrentTime() {
+        if (!this.isPlaying) {
+            return this._playStartTime;
+        }
+        const elapsed = (performance.now() - this._wallStartTime) / 1000;
+        return Math.min(this.duration, this._playStartTime + elapsed * this.speed);
+    }
+
+    play() {
+        if (this.isPlaying || this.notes.length === 0) {
+            return;
+        }
+        if (this._playStartTime >= this.duration) {
+            this._playStartTime = 0;
+        }
+        this._wallStartTime = performance.now();
+        this.isPlaying = true;
+        this._timer = setInterval(this._update, UPDATE_INTERVAL);
+        this._update();
+        this._notifyStateChange();
+    }
+
+    pause() {
+        if (!this.isPlaying) {
+            return;
+        }
+        this._playStartTime = this.getCurrentTime();
+        this.isPlaying = false;
+        clearInterval(this._timer);
+        this._update();
+        this._notifyStateChange();
+    }
+
+    /**
+     * Pauses and moves the playhead to the start
+     */
+    stop() {
+        this.pause();
+        this.seek(0);
+    }
+
+    /**
+     * Moves the playhead
+     * @param {number} time time in seconds
+     */
+    seek(time) {
+        this._playStartTime = Math.max(0, Math.min(this.duration, time));
+        this._wallStartTime = performance.now();
+        this._update();
+    }
+
+    /**
+     * Starts or ends scrubbing, while scrubbing the notes at the playhead
+     * are used like during playback
+     * @param {boolean} isScrubbing is the user dragging the playhead?
+     */
+    setScrubbing(isScrubbing) {
+        if (isScrubbing !== this.isScrubbing) {
+            this.isScrubbing = isScrubbing;
+            this._notifyStateChange();
+        }
+    }
+
+    /**
+     * Changes the playback speed (tempo factor)
+     * @param {number} speed speed, 1 is the original tempo
+     */
+    setSpeed(speed) {
+        // Keep the current position
+        this._playStartTime = this.getCurrentTime();
+        this._wallStartTime = performance.now();
+        this.speed = speed;
+        this._notifyStateChange();
+    }
+
+    _notifyStateChange() {
+        this._onStateChange({ isPlaying: this.isPlaying, isScrubbing: this.isScrubbing, speed: this.speed });
+    }
+
+    /**
+     * Updates the notes at the playhead and stops at the end
+     */
+    _update = () => {
+        const time = this.getCurrentTime();
+        if (this.isPlaying && time >= this.duration) {
+            this.pause();
+            this._playStartTime = this.duration;
+            return;
+        }
+        const sounding = new Map();
+        for (let note of this.notes) {
+            if (note.start > time) {
+                break;
+            }
+            if (note.end > time) {
+                sounding.set(note.pitch, note);
+            }
+        }
+        this._setSoundingNotes(sounding);
+    }
+
+    /**
+     * Reports the notes at the playhead if they changed
+     * @param {Map<number,Note>} sounding notes by pitch
+     */
+    _setSoundingNotes(sounding) {
+        const old = this._soundingNotes;
+        const changed = old.size !== sounding.size || [...sounding].some(([pitch, note]) => old.get(pitch) !== note);
+        if (changed) {
+            this._soundingNotes = sounding;
+            this._onNotesChange(sounding);
+        }
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * Sound types, 'piano' plays a sample, the others are oscillator types
+ */
+export const SOUND_TYPES = ['piano', 'sine', 'triangle', 'sawtooth', 'square'];
+
+/**
+ * Pitch at which the piano sample is rendered
+ */
+const SAMPLE_PITCH = 60;
+const SAMPLE_DURATION = 4;
+
+/**
+ * Converts a MIDI pitch to a frequency in Hz
+ * @param {number} pitch MIDI pitch
+ * @returns {number} frequency
+ */
+function pitchToFrequency(pitch) {
+    return 440 * 2 ** ((pitch - 69) / 12);
+}
+
+/**
+ * Simple polyphonic Web Audio synthesizer with an ADSR envelope and master
+ * volume.
+ * The piano sound uses a single sample that is generated once with additive
+ * synthesis (slightly inharmonic, decaying partials) and is re-pitched for
+ * each note, like a basic sampler.
+ */
+export default class Synth {
+
+    constructor() {
+        this.settings = {
+            enabled: true,
+            soundType: 'piano',
+            attack: 0.005,
+            decay: 0.3,
+            sustain: 0.6,
+            release: 0.4,
+            volume: 0.5
+        };
+        this._context = null;
+        this._masterGain = null;
+        this._pianoSample = null;
+        // Currently sounding voices by pitch
+        this._voices = new Map();
+    }
+
+    /**
+     * Returns the audio context, creates it on first use
+     * @returns {AudioContext|null} audio context or null if not supported
+     */
+    _getContext() {
+        if (!this._context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) {
+                console.error('[Synth] Web Audio is not supported in this browser.');
+                return null;
+            }
+            this._context = new AudioContext();
+            this._masterGain = this._context.createGain();
+            this._masterGain.gain.value = this.settings.volume;
+            this._masterGain.connect(this._context.destination);
+        }
+        return this._context;
+    }
+
+    /**
+     * Browsers only allow audio after a user gesture, so this should be
+     * called from an event handler of one
+     */
+    resume() {
+        const ctx = this._getContext();
+        if (ctx && ctx.state === 'suspended') {
+            ctx.resume();
+        }
+    }
+
+    /**
+     * Updates settings, e.g. {volume: 0.8}
+     * @param {Object} settings settings to change
+     */
+    setSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        if (this._masterGain) {
+            this._masterGain.gain.setTargetAtTime(this.settings.volume, this._context.currentTime, 0.01);
+        }
+        if (!this.settings.enabled) {
+            this.stopAll();
+        }
+    }
+
+    /**
+     * Returns the piano sample, renders it on first use
+     * @param {AudioContext} ctx audio context
+     * @returns {AudioBuffer} sample at SAMPLE_PITCH
+     */
+    _getPianoSample(ctx) {
+        if (!this._pianoSample) {
+            const sampleRate = ctx.sampleRate;
+            const length = Math.floor(sampleRate * SAMPLE_DURATION);
+            const buffer = ctx.createBuffer(1, length, sampleRate);
+            const data = buffer.getChannelData(0);
+            const f0 = pitchToFrequency(SAMPLE_PITCH);
+            const partials = 12;
+            for (let n = 1; n <= partials; n++) {
+                // Piano strings are slightly inharmonic
+                const freq = f0 * n * Math.sqrt(1 + 0.0004 * n * n);
+                const amplitude = 1 / (n ** 1.5);
+                // Higher partials decay faster
+                const decay = 1.2 + n * 0.6;
+                for (let i = 0; i < length; i++) {
+                    const t = i / sampleRate;
+                    data[i] += amplitude * Math.exp(-decay * t) * Math.sin(2 * Math.PI * freq * t);
+                }
+            }
+            // Normalize
+            let peak = 0;
+            for (let i = 0; i < length; i++) {
+                peak = Math.max(peak, Math.abs(data[i]));
+            }
+            for (let i = 0; i < length; i++) {
+                data[i] /= peak;
+            }
+            this._pianoSample = buffer;
+        }
+        return this._pianoSample;
+    }
+
+    /**
+     * Creates the sound source for a pitch
+     * @param {AudioContext} ctx audio context
+     * @param {number} pitch MIDI pitch
+     * @returns {AudioScheduledSourceNode} source
+     */
+    _createSource(ctx, pitch) {
+        const { soundType } = this.settings;
+        if (soundType === 'piano') {
+            const source = ctx.createBufferSource();
+            source.buffer = this._getPianoSample(ctx);
+            source.playbackRate.value = 2 ** ((pitch - SAMPLE_PITCH) / 12);
+            return source;
+        }
+        const oscillator = ctx.createOscillator();
+        oscillator.type = soundType;
+        oscillator.frequency.value = pitchToFrequency(pitch);
+        return oscillator;
+    }
+
+    /**
+     * Starts a note, a note with the same pitch is stopped first
+     * @param {number} pitch MIDI pitch
+     * @param {number} velocity MIDI velocity in [0, 127], mapped to gain
+     */
+    noteOn(pitch, velocity = 100) {
+        if (!this.settings.enabled) {
+            return;
+        }
+        const ctx = this._getContext();
+        if (!ctx) {
+            return;
+        }
+        this.noteOff(pitch);
+        const { attack, decay, sustain } = this.settings;
+        const now = ctx.currentTime;
+        // Perceived loudness is closer to a quadratic velocity curve
+        const peak = (velocity / 127) ** 2 * 0.5;
+        const source = this._createSource(ctx, pitch);
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(peak, now + attack);
+        gain.gain.setTargetAtTime(peak * sustain, now + attack, decay / 3);
+        source.connect(gain);
+        gain.connect(this._masterGain);
+        source.start(now);
+        this._voices.set(pitch, { source, gain });
+    }
+
+    /**
+     * Releases a note
+     * @param {number} pitch MIDI pitch
+     */
+    noteOff(pitch) {
+        const voice = this._voices.get(pitch);
+        if (!voice) {
+            return;
+        }
+        this._voices.delete(pitch);
+        const ctx = this._context;
+        const { release } = this.settings;
+        const now = ctx.currentTime;
+        voice.gain.gain.cancelScheduledValues(now);
+        voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
+        voice.gain.gain.linearRampToValueAtTime(0, now + release);
+        voice.source.stop(now + release + 0.05);
+    }
+
+    /**
+     * Plays several pitches at once for a fixed duration, e.g. to audition a
+     * chord
+     * @param {number[]} pitches MIDI pitches
+     * @param {number} duration duration in seconds
+     * @param {number} velocity MIDI velocity
+     */
+    playChord(pitches, duration = 1.5, velocity = 90) {
+        this.resume();
+        for (let pitch of pitches) {
+            this.noteOn(pitch, velocity);
+        }
+        const voices = pitches.map(d => this._voices.get(d));
+        setTimeout(() => {
+            // Do not stop notes that were played again in the meantime
+            pitches.forEach((pitch, i) => {
+                if (voices[i] && this._voices.get(pitch) === voices[i]) {
+                    this.noteOff(pitch);
+                }
+            });
+        }, duration * 1000);
+    }
+
+    /**
+     * Releases all notes
+     */
+    stopAll() {
+        for (let pitch of [...this._voices.keys()]) {
+            this.noteOff(pitch);
+        }
+    }
+}
@@ -0,0 +1,70 @@
+import { Midi } from 'musicvis-lib';
+
+/**
+ * Creates a chord chart from chord segments
+ * @param {Object[]} segments chord segments, see getChordSegments
+ * @returns {Object[]} entries {chord, alternatives, start, duration, notes}
+ *      with times in seconds and note names
+ */
+export function getChordChart(segments) {
+    const round = d => Math.round(d * 1000) / 1000;
+    return segments.map(d => ({
+        chord: d.chords[0],
+        alternatives: d.chords.slice(1),
+        start: round(d.start),
+        duration: round(d.end - d.start),
+        notes: d.notes.map(n => Midi.getMidiNoteByNr(n.pitch).label)
+    }));
+}
+
+/**
+ * Formats a time in seconds as m:ss.s
+ * @param {number} seconds time
+ * @returns {string} formatted time
+ */
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${rest}`;
+}
+
+/**
+ * Writes a chord chart as plain text table
+ * @param {Object[]} chart chord chart, see getChordChart
+ * @param {string} title title
+ * @returns {string} text
+ */
+export function chordChartToText(chart, title) {
+    const columns = [
+        ['Time', 9],
+        ['Duration', 10],
+        ['Chord', 14],
+        ['Notes', 0]
+    ];
+    const formatRow = values => values
+        .map((d, i) => d.padEnd(columns[i][1]))
+        .join('')
+        .trimEnd();
+    const lines = [
+        title,
+        '',
+        formatRow(columns.map(d => d[0])),
+        ...chart.map(d => formatRow([
+            formatTime(d.start),
+            `${d.duration.toFixed(2)} s`,
+            d.chord,
+            d.notes.join(' ')
+        ]))
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes a chord chart as JSON
+ * @param {Object[]} chart chord chart, see getChordChart
+ * @param {string} title title
+ * @returns {string} JSON
+ */
+export function chordChartToJson(chart, title) {
+    return JSON.stringify({ title, chords: chart }, null, 2);
+}
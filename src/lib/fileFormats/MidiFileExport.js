@@ -0,0 +1,93 @@
+/**
+ * Ticks per quarter note
+ */
+const PPQ = 480;
+
+/**
+ * Encodes a number as MIDI variable-length quantity
+ * @param {number} value non-negative integer
+ * @returns {number[]} bytes
+ */
+function encodeVariableLength(value) {
+    const bytes = [value & 0x7f];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+        value >>= 7;
+    }
+    return bytes;
+}
+
+/**
+ * Encodes a number as big-endian bytes
+ * @param {number} value non-negative integer
+ * @param {number} length number of bytes
+ * @returns {number[]} bytes
+ */
+function encodeInt(value, length) {
+    const bytes = [];
+    for (let i = length - 1; i >= 0; i--) {
+        bytes.push((value >> (8 * i)) & 0xff);
+    }
+    return bytes;
+}
+
+/**
+ * Encodes a string as ASCII bytes
+ * @param {string} string string
+ * @returns {number[]} bytes
+ */
+function encodeString(string) {
+    return [...string].map(d => d.charCodeAt(0) & 0x7f);
+}
+
+/**
+ * Writes notes to a Standard MIDI File (format 0, single track).
+ * Notes keep their exact timing, the tempo only defines how the time is
+ * divided into beats when opened in a DAW or notation editor.
+ * @param {Note[]} notes notes with start and end times in seconds
+ * @param {number} bpm tempo in beats per minute
+ * @param {string} title track name
+ * @returns {Uint8Array} file content
+ */
+export function notesToMidiFile(notes, bpm = 120, title = 'midi-chords') {
+    const ticksPerSecond = bpm / 60 * PPQ;
+    const toTicks = seconds => Math.max(0, Math.round(seconds * ticksPerSecond));
+    const events = [];
+    for (let note of notes) {
+        const channel = note.channel & 0x0f;
+        const velocity = Math.max(1, Math.min(127, Math.round(note.velocity)));
+        const start = toTicks(note.start);
+        const end = Math.max(start + 1, toTicks(note.end));
+        events.push({ tick: start, isOn: true, bytes: [0x90 | channel, note.pitch, velocity] });
+        events.push({ tick: end, isOn: false, bytes: [0x80 | channel, note.pitch, 64] });
+    }
+    // Note-offs first, so repeated notes are not cut off
+    events.sort((a, b) => a.tick - b.tick || a.isOn - b.isOn);
+    const track = [
+        // Track name
+        0, 0xff, 0x03, ...encodeVariableLength(title.length), ...encodeString(title),
+        // Tempo in microseconds per quarter note
+        0, 0xff, 0x51, 0x03, ...encodeInt(Math.round(60000000 / bpm), 3),
+        // Time signature 4/4
+        0, 0xff, 0x58, 0x04, 4, 2, 24, 8
+    ];
+    let lastTick = 0;
+    for (let event of events) {
+        track.push(...encodeVariableLength(event.tick - lastTick), ...event.bytes);
+        lastTick = event.tick;
+    }
+    // End of track
+    track.push(0, 0xff, 0x2f, 0);
+    return new Uint8Array([
+        ...encodeString('MThd'),
+        ...encodeInt(6, 4),
+        // Format 0, one track
+        ...encodeInt(0, 2),
+        ...encodeInt(1, 2),
+        ...encodeInt(PPQ, 2),
+        ...encodeString('MTrk'),
+        ...encodeInt(track.length, 4),
+        ...track
+    ]);
+}
@@ -0,0 +1,51 @@
+import MidiParser from 'midi-parser-js';
+import { preprocessMidiFileData } from 'musicvis-lib';
+
+/**
+ * General MIDI channel for percussion, its notes are not used for chords
+ */
+const DRUM_CHANNEL = 9;
+
+/**
+ * Parses a Standard MIDI File into Note objects, like the ones recorded from
+ * MIDI input. Notes of all tracks are merged, drum notes are removed.
+ * @param {ArrayBuffer} arrayBuffer file content
+ * @returns {Object} {notes, totalTime, bpm, measureLinePositions}
+ * @throws {Error} when the file cannot be parsed or contains no notes
+ */
+export function parseMidiFile(arrayBuffer) {
+    const data = MidiParser.parse(new Uint8Array(arrayBuffer));
+    if (!data) {
+        throw new Error('Not a valid MIDI file');
+    }
+    const parsed = preprocessMidiFileData(data);
+    if (!parsed || parsed.parts.length === 0) {
+        throw new Error('MIDI file contains no notes');
+    }
+    const notes = parsed.parts
+        .flatMap(d => d.noteObjs)
+        .filter(d => d.channel !== DRUM_CHANNEL)
+        .sort((a, b) => a.start - b.start);
+    if (notes.length === 0) {
+        throw new Error('MIDI file contains only drum notes');
+    }
+    return {
+        notes,
+        totalTime: parsed.totalTime,
+        bpm: parsed.bpm,
+        measureLinePositions: parsed.parts[0].measureLinePositions
+    };
+}
+
+/**
+ * Reads and parses a MIDI file selected by the user
+ * @param {File} file file from a file input or drop event
+ * @returns {Promise<Object>} parsed file, see parseMidiFile, with its name
+ */
+export async function readMidiFile(file) {
+    const buffer = await file.arrayBuffer();
+    return {
+        name: file.name,
+        ...parseMidiFile(buffer)
+    };
+}
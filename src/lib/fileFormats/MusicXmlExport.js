@@ -0,0 +1,252 @@
+import { Key, Note as TonalNote } from '@tonaljs/tonal';
+import { parseChordSymbol } from '../harmony/ChordUtils';
+
+/**
+ * Divisions per quarter note, notes are quantized to 16th notes
+ */
+const DIVISIONS = 4;
+const STEPS_PER_MEASURE = 4 * DIVISIONS;
+
+/**
+ * Note durations in 16th steps with their MusicXML type and dots, longest
+ * first
+ */
+const DURATIONS = [
+    { steps: 16, type: 'whole', dots: 0 },
+    { steps: 12, type: 'half', dots: 1 },
+    { steps: 8, type: 'half', dots: 0 },
+    { steps: 6, type: 'quarter', dots: 1 },
+    { steps: 4, type: 'quarter', dots: 0 },
+    { steps: 3, type: 'eighth', dots: 1 },
+    { steps: 2, type: 'eighth', dots: 0 },
+    { steps: 1, type: '16th', dots: 0 }
+];
+
+/**
+ * MusicXML harmony kinds for tonal chord type names, other types are
+ * exported as 'other' with their symbol as text
+ */
+const HARMONY_KINDS = new Map([
+    ['major', 'major'],
+    ['minor', 'minor'],
+    ['augmented', 'augmented'],
+    ['diminished', 'diminished'],
+    ['dominant seventh', 'dominant'],
+    ['major seventh', 'major-seventh'],
+    ['minor seventh', 'minor-seventh'],
+    ['diminished seventh', 'diminished-seventh'],
+    ['augmented seventh', 'augmented-seventh'],
+    ['half-diminished', 'half-diminished'],
+    ['minor/major seventh', 'major-minor'],
+    ['sixth', 'major-sixth'],
+    ['minor sixth', 'minor-sixth'],
+    ['dominant ninth', 'dominant-ninth'],
+    ['major ninth', 'major-ninth'],
+    ['minor ninth', 'minor-ninth'],
+    ['eleventh', 'dominant-11th'],
+    ['minor eleventh', 'minor-11th'],
+    ['dominant thirteenth', 'dominant-13th'],
+    ['major thirteenth', 'major-13th'],
+    ['minor thirteenth', 'minor-13th'],
+    ['suspended second', 'suspended-second'],
+    ['suspended fourth', 'suspended-fourth'],
+    ['fifth', 'power']
+]);
+
+/**
+ * Escapes text for XML
+ * @param {string} text text
+ * @returns {string} escaped text
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns the number of sharps (positive) or flats (negative) of a key
+ * @param {Object|null} key key, see KeyDetection.getKey
+ * @returns {number} fifths, 0 for modes and unknown keys
+ */
+function getKeyFifths(key) {
+    if (!key) {
+        return 0;
+    }
+    if (key.type === 'major') {
+        return Key.majorKey(key.tonic).alteration;
+    }
+    if (key.type === 'minor') {
+        return Key.minorKey(key.tonic).alteration;
+    }
+    return 0;
+}
+
+/**
+ * Creates the <harmony> element for a chord symbol
+ * @param {string} symbol chord symbol, e.g. 'Am7/C'
+ * @returns {string} XML or empty string for unknown chords
+ */
+function getHarmonyXml(symbol) {
+    const { chord, bass } = parseChordSymbol(symbol);
+    if (chord.empty || !chord.tonic) {
+        return '';
+    }
+    const root = TonalNote.get(chord.tonic);
+    const kind = HARMONY_KINDS.get(chord.type) || 'other';
+    // Text as shown in the detection, without the tonic and bass
+    let text = chord.symbol.slice(chord.tonic.length);
+    if (text === 'M') {
+        text = '';
+    }
+    let xml = `<harmony><root><root-step>${root.letter}</root-step>`;
+    if (root.alt !== 0) {
+        xml += `<root-alter>${root.alt}</root-alter>`;
+    }
+    xml += `</root><kind text="${escapeXml(text)}">${kind}</kind>`;
+    if (bass) {
+        const bassNote = TonalNote.get(bass);
+        xml += `<bass><bass-step>${bassNote.letter}</bass-step>`;
+        if (bassNote.alt !== 0) {
+            xml += `<bass-alter>${bassNote.alt}</bass-alter>`;
+        }
+        xml += '</bass>';
+    }
+    return `${xml}</harmony>`;
+}
+
+/**
+ * Creates <note> elements for a note or rest, split into tied notes when the
+ * length is not a single (dotted) note value
+ * @param {number|null} pitch MIDI pitch or null for a rest
+ * @param {number} steps length in 16th steps
+ * @param {boolean} tiedFromPrevious continues a note from before
+ * @param {boolean} tiedToNext continues after this
+ * @param {boolean} useSharps spell with sharps instead of flats
+ * @returns {string} XML
+ */
+function getNoteXml(pitch, steps, tiedFromPrevious, tiedToNext, useSharps) {
+    const parts = [];
+    let rest = steps;
+    for (let duration of DURATIONS) {
+        while (rest >= duration.steps) {
+            parts.push(duration);
+            rest -= duration.steps;
+        }
+    }
+    let pitchXml = '<rest/>';
+    if (pitch !== null) {
+        const note = TonalNote.get(useSharps ? TonalNote.fromMidiSharps(pitch) : TonalNote.fromMidi(pitch));
+        pitchXml = `<pitch><step>${note.letter}</step>`;
+        if (note.alt !== 0) {
+            pitchXml += `<alter>${note.alt}</alter>`;
+        }
+        pitchXml += `<octave>${note.oct}</octave></pitch>`;
+    }
+    return parts.map((d, i) => {
+        const tieStop = pitch !== null && (i > 0 || tiedFromPrevious);
+        const tieStart = pitch !== null && (i < parts.length - 1 || tiedToNext);
+        let ties = '';
+        let tied = '';
+        if (tieStop) {
+            ties += '<tie type="stop"/>';
+            tied += '<tied type="stop"/>';
+        }
+        if (tieStart) {
+            ties += '<tie type="start"/>';
+            tied += '<tied type="start"/>';
+        }
+        return `<note>${pitchXml}<duration>${d.steps}</duration>${ties}<voice>1</voice>`
+            + `<type>${d.type}</type>${d.dots ? '<dot/>' : ''}`
+            + `${tied ? `<notations>${tied}</notations>` : ''}</note>`;
+    }).join('');
+}
+
+/**
+ * Writes a MusicXML lead sheet: the melody (highest sounding note) with
+ * chord symbols above. Times are quantized to 16th notes at the given tempo
+ * in 4/4.
+ * @param {Note[]} notes notes with start and end times in seconds
+ * @param {Object[]} segments chord segments, see getChordSegments
+ * @param {number} bpm tempo in beats per minute
+ * @param {string} title title
+ * @param {Object|null} key key for the key signature and spelling, see
+ *      KeyDetection.getKey
+ * @returns {string} MusicXML
+ */
+export function notesToMusicXml(notes, segments, bpm = 120, title = 'midi-chords', key = null) {
+    const stepDuration = 60 / bpm / DIVISIONS;
+    const toStep = seconds => Math.round(seconds / stepDuration);
+    // Highest note at each step
+    let totalSteps = 0;
+    const quantized = notes.map(note => {
+        const start = toStep(note.start);
+        const end = Math.max(start + 1, toStep(note.end));
+        totalSteps = Math.max(totalSteps, end);
+        return { note, start, end };
+    });
+    totalSteps = Math.max(1, Math.ceil(totalSteps / STEPS_PER_MEASURE)) * STEPS_PER_MEASURE;
+    const melody = new Array(totalSteps).fill(null);
+    for (let { note, start, end } of quantized) {
+        for (let step = start; step < end; step++) {
+            if (melody[step] === null || melody[step].pitch < note.pitch) {
+                melody[step] = note;
+            }
+        }
+    }
+    const harmonies = new Map();
+    for (let segment of segments) {
+        harmonies.set(toStep(segment.start), segment.chords[0]);
+    }
+    // Split the melody into events at note changes, chord changes and bar lines
+    const events = [];
+    for (let step = 0; step < totalSteps; step++) {
+        const note = melody[step];
+        const last = events[events.length - 1];
+        const isBoundary = step % STEPS_PER_MEASURE === 0 || harmonies.has(step);
+        if (last && last.note === note && !isBoundary) {
+            last.steps++;
+        } else {
+            events.push({ note, start: step, steps: 1, tiedFromPrevious: !!last && note !== null && last.note === note });
+        }
+    }
+    const fifths = getKeyFifths(key);
+    const useSharps = fifths >= 0;
+    const measures = [];
+    for (let i = 0; i < events.length; i++) {
+        const event = events[i];
+        const measureIndex = Math.floor(event.start / STEPS_PER_MEASURE);
+        if (!measures[measureIndex]) {
+            measures[measureIndex] = '';
+        }
+        if (harmonies.has(event.start)) {
+            measures[measureIndex] += getHarmonyXml(harmonies.get(event.start));
+        }
+        const next = events[i + 1];
+        const tiedToNext = !!next && next.tiedFromPrevious;
+        const pitch = event.note ? event.note.pitch : null;
+        measures[measureIndex] += getNoteXml(pitch, event.steps, event.tiedFromPrevious, tiedToNext, useSharps);
+    }
+    const attributes = `<attributes><divisions>${DIVISIONS}</divisions>`
+        + `<key><fifths>${fifths}</fifths></key>`
+        + '<time><beats>4</beats><beat-type>4</beat-type></time>'
+        + '<clef><sign>G</sign><line>2</line></clef></attributes>'
+        + '<direction placement="above"><direction-type><metronome>'
+        + `<beat-unit>quarter</beat-unit><per-minute>${bpm}</per-minute>`
+        + `</metronome></direction-type><sound tempo="${bpm}"/></direction>`;
+    const measuresXml = measures.map((d, i) => `<measure number="${i + 1}">\n${i === 0 ? attributes : ''}${d}\n</measure>`);
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+        '<score-partwise version="3.1">',
+        `<work><work-title>${escapeXml(title)}</work-title></work>`,
+        '<part-list><score-part id="P1"><part-name>Melody</part-name></score-part></part-list>',
+        '<part id="P1">',
+        ...measuresXml,
+        '</part>',
+        '</score-partwise>',
+        ''
+    ].join('\n');
+}
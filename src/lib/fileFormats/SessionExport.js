@@ -0,0 +1,64 @@
+import { min } from 'd3-array';
+
+/**
+ * Returns copies of recorded notes with times relative to the first note, so
+ * exported files start at zero. Notes that are still held end at endTime.
+ * @param {Note[]} notes recorded notes, e.g. midiLiveData
+ * @param {number} endTime end time for unfinished notes, same time base as
+ *      the notes
+ * @returns {Note[]} notes sorted by start time
+ */
+export function getSessionNotes(notes, endTime) {
+    if (notes.length === 0) {
+        return [];
+    }
+    // Spreading a long session into Math.min exceeds the call stack
+    const offset = min(notes, d => d.start);
+    return notes
+        .map(d => {
+            const note = d.clone();
+            note.start = d.start - offset;
+            note.end = (d.end === null ? endTime : d.end) - offset;
+            return note;
+        })
+        .sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+}
+
+/**
+ * Returns a file name for an exported session, e.g.
+ * midi-chords-2021-01-31-18-30-00.mid
+ * @param {string} extension file extension without dot
+ * @returns {string} file name
+ */
+export function getSessionFileName(extension) {
+    const date = new Date();
+    const pad = d => `${d}`.padStart(2, '0');
+    const dateString = [
+        date.getFullYear(),
+        pad(date.getMonth() + 1),
+        pad(date.getDate()),
+        pad(date.getHours()),
+        pad(date.getMinutes()),
+        pad(date.getSeconds())
+    ].join('-');
+    return `midi-chords-${dateString}.${extension}`;
+}
+
+/**
+ * Lets the browser download data as a file
+ * @param {string|Uint8Array} content file content
+ * @param {string} fileName file name
+ * @param {string} mimeType MIME type
+ */
+export function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
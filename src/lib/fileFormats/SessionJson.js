@@ -0,0 +1,115 @@
+import { max } from 'd3-array';
+
+const FORMAT_NAME = 'midi-chords-session';
+const FORMAT_VERSION = 1;
+
+/**
+ * Converts a stored session to JSON, e.g. to send it to a teacher
+ * @param {Object} session session, see createSession
+ * @returns {string} JSON
+ */
+export function sessionToJson(session) {
+    const { name, createdAt, updatedAt, duration, notes, chordHistory } = session;
+    return JSON.stringify({
+        format: FORMAT_NAME,
+        version: FORMAT_VERSION,
+        name,
+        createdAt,
+        updatedAt,
+        duration,
+        notes,
+        chordHistory
+    }, null, 2);
+}
+
+/**
+ * Checks whether a value is a valid serialized note
+ * @param {*} note value
+ * @returns {boolean} true if valid
+ */
+function isValidNote(note) {
+    return note !== null
+        && typeof note === 'object'
+        && Number.isInteger(note.pitch) && note.pitch >= 0 && note.pitch <= 127
+        && Number.isFinite(note.start)
+        && Number.isFinite(note.end) && note.end >= note.start;
+}
+
+/**
+ * Copies the known fields of a valid serialized note, with defaults for the
+ * optional ones
+ * @param {Object} note note, see isValidNote
+ * @returns {Object} note {pitch, start, end, velocity, channel}
+ */
+function normalizeNote(note) {
+    return {
+        pitch: note.pitch,
+        start: note.start,
+        end: note.end,
+        velocity: Number.isFinite(note.velocity) ? note.velocity : 100,
+        channel: Number.isInteger(note.channel) ? note.channel : 0
+    };
+}
+
+/**
+ * Checks whether a value is a valid chord history entry, its notes are
+ * checked separately
+ * @param {*} entry value
+ * @returns {boolean} true if valid
+ */
+function isValidChordHistoryEntry(entry) {
+    return entry !== null
+        && typeof entry === 'object'
+        && Number.isFinite(entry.time)
+        && Array.isArray(entry.chords)
+        && Array.isArray(entry.notes);
+}
+
+/**
+ * Parses a session exported with sessionToJson.
+ * Throws an Error if the JSON is not a valid session.
+ * @param {string} json JSON
+ * @returns {Object} session without id, chordHistory is undefined if the
+ *      file contains none
+ */
+export function parseSessionJson(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Not a valid JSON file: ${error.message}`);
+    }
+    if (!data || data.format !== FORMAT_NAME) {
+        throw new Error('Not a midi-chords session file');
+    }
+    if (data.version > FORMAT_VERSION) {
+        throw new Error(`Session file version ${data.version} is not supported, please update the app`);
+    }
+    if (!Array.isArray(data.notes) || !data.notes.every(isValidNote)) {
+        throw new Error('The session file contains invalid notes');
+    }
+    const notes = data.notes.map(normalizeNote);
+    const duration = Number.isFinite(data.duration)
+        ? data.duration
+        // Spreading a long session into Math.max exceeds the call stack
+        : Math.max(0, max(notes, d => d.end) ?? 0);
+    let chordHistory;
+    if (Array.isArray(data.chordHistory)) {
+        chordHistory = data.chordHistory
+            .filter(isValidChordHistoryEntry)
+            .map(d => ({
+                time: d.time,
+                chords: d.chords.map(String),
+                notes: d.notes.filter(isValidNote).map(normalizeNote)
+            }));
+    }
+    const now = Date.now();
+    return {
+        name: typeof data.name === 'string' && data.name !== '' ? data.name : 'Imported session',
+        createdAt: Number.isFinite(data.createdAt) ? data.createdAt : now,
+        updatedAt: now,
+        duration,
+        notes,
+        chordHistory
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * Returns the default detection settings
+ * @returns {Object} {mode, onsetWindow, arpeggioWindow}, mode is 'block' or
+ *      'arpeggio', onsetWindow is the time in milliseconds in which note
+ *      changes are grouped, arpeggioWindow the time in seconds in which
+ *      released notes still count in arpeggio mode
+ */
+export function getDefaultDetectionSettings() {
+    return {
+        mode: 'block',
+        onsetWindow: 60,
+        arpeggioWindow: 1.5
+    };
+}
+
+/**
+ * Decides which notes form the current chord.
+ * Instead of detecting a chord on every single note change, changes are
+ * grouped: the notes are only reported once no further change happened
+ * within the onset window, so rolling into a chord does not flash through
+ * partial chords. In arpeggio mode, notes from the recorded MIDI data that
+ * started within the arpeggio window are added, so broken chords are
+ * recognized although each note is released before the next one starts.
+ */
+export default class ChordDetectionEngine {
+
+    /**
+     * @param {Function} getNotes returns the held and sustained notes,
+     *      sorted by pitch
+     * @param {Function} getMidiLiveData returns the recorded notes, sorted
+     *      by start time
+     * @param {Function} onDetect called with the notes of the detected chord,
+     *      sorted by pitch, whenever they change
+     * @param {Object} settings see getDefaultDetectionSettings
+     */
+    constructor(getNotes, getMidiLiveData, onDetect, settings = getDefaultDetectionSettings()) {
+        this._getNotes = getNotes;
+        this._getMidiLiveData = getMidiLiveData;
+        this._onDetect = onDetect;
+        this.settings = settings;
+        this._onsetTimer = null;
+        this._expiryTimer = null;
+        this._lastPitches = '';
+    }
+
+    /**
+     * @param {Object} settings settings to change
+     */
+    setSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this._detect();
+    }
+
+    /**
+     * Has to be called whenever the held or sustained notes change, detection
+     * happens after the onset window
+     */
+    update() {
+        clearTimeout(this._onsetTimer);
+        if (this.settings.onsetWindow > 0) {
+            this._onsetTimer = setTimeout(this._detect, this.settings.onsetWindow);
+        } else {
+            this._detect();
+        }
+    }
+
+    /**
+     * Stops all timers
+     */
+    stop() {
+        clearTimeout(this._onsetTimer);
+        clearTimeout(this._expiryTimer);
+    }
+
+    /**
+     * Returns the held notes and the notes that started within the arpeggio
+     * window, one per pitch
+     * @param {number} now current time in seconds
+     * @returns {Note[]} notes, sorted by pitch
+     */
+    _getArpeggioNotes(now) {
+        const notes = new Map(this._getNotes().map(d => [d.pitch, d]));
+        const liveData = this._getMidiLiveData();
+        const windowStart = now - this.settings.arpeggioWindow;
+        for (let i = liveData.length - 1; i >= 0 && liveData[i].start >= windowStart; i--) {
+            if (!notes.has(liveData[i].pitch)) {
+                notes.set(liveData[i].pitch, liveData[i]);
+            }
+        }
+        return [...notes.values()].sort((a, b) => a.pitch - b.pitch);
+    }
+
+    _detect = () => {
+        clearTimeout(this._expiryTimer);
+        let notes;
+        if (this.settings.mode === 'arpeggio') {
+            const now = performance.now() / 1000;
+            notes = this._getArpeggioNotes(now);
+            // Detect again when the oldest released note leaves the window
+            const held = new Set(this._getNotes());
+            const released = notes.filter(d => !held.has(d));
+            if (released.length > 0) {
+                const expiry = Math.min(...released.map(d => d.start)) + this.settings.arpeggioWindow;
+                this._expiryTimer = setTimeout(this._detect, Math.max(0, expiry - now) * 1000 + 10);
+            }
+        } else {
+            notes = this._getNotes();
+        }
+        const pitches = notes.map(d => d.pitch).join();
+        if (pitches !== this._lastPitches) {
+            this._lastPitches = pitches;
+            this._onDetect(notes);
+        }
+    }
+}
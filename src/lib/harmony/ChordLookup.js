@@ -0,0 +1,158 @@
+import { Chord, ChordType, Interval, Note as TonalNote } from '@tonaljs/tonal';
+
+const QUALITY_NAMES = {
+    P: 'perfect',
+    M: 'major',
+    m: 'minor',
+    d: 'diminished',
+    A: 'augmented',
+    dd: 'doubly diminished',
+    AA: 'doubly augmented'
+};
+
+const ORDINALS = ['unison', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'octave', 'ninth', 'tenth', 'eleventh', 'twelfth', 'thirteenth'];
+
+/**
+ * Returns a readable interval name, e.g. 'minor third' for '3m'
+ * @param {string} interval tonal interval name
+ * @returns {string} name
+ */
+function getIntervalName(interval) {
+    const { num, q } = Interval.get(interval);
+    if (interval === '1P') {
+        return 'root';
+    }
+    return `${QUALITY_NAMES[q] || q} ${ORDINALS[num - 1] || num}`;
+}
+
+/**
+ * Returns the chord formula degree of an interval, e.g. 'b3' for '3m' or
+ * '#11' for '11A'
+ * @param {string} interval tonal interval name
+ * @returns {string} degree
+ */
+export function getFormulaDegree(interval) {
+    const { num, alt } = Interval.get(interval);
+    // Major and perfect intervals are the plain scale degrees
+    const accidental = alt > 0 ? '#'.repeat(alt) : 'b'.repeat(-alt);
+    return `${accidental}${num}`;
+}
+
+/**
+ * Returns the name of a pitch, spelled like the chord's notes, e.g. F#5
+ * instead of Gb5 in a D major chord
+ * @param {number} pitch MIDI pitch
+ * @param {string[]} pitchClassNames spellings to use, e.g. chord notes
+ * @returns {string} note name with octave
+ */
+function spellPitch(pitch, pitchClassNames) {
+    const pitchClass = pitchClassNames.find(d => TonalNote.chroma(d) === pitch % 12);
+    if (!pitchClass) {
+        return TonalNote.fromMidi(pitch);
+    }
+    // Cb and B# belong to a different octave than their pitch suggests
+    const octave = Math.floor(pitch / 12) - 1;
+    for (let d of [octave, octave + 1, octave - 1]) {
+        if (TonalNote.midi(`${pitchClass}${d}`) === pitch) {
+            return `${pitchClass}${d}`;
+        }
+    }
+    return TonalNote.fromMidi(pitch);
+}
+
+/**
+ * Returns known chord type aliases that are similar to an unknown one, for
+ * error messages
+ * @param {string} typeName unknown chord type
+ * @param {number} maxCount maximum number of suggestions
+ * @returns {string[]} aliases
+ */
+function getSimilarChordTypes(typeName, maxCount = 5) {
+    const aliases = ChordType.all().flatMap(d => d.aliases);
+    const commonPrefixLength = alias => {
+        let i = 0;
+        while (i < alias.length && i < typeName.length && alias[i] === typeName[i]) {
+            i++;
+        }
+        return i;
+    };
+    return aliases
+        .map(alias => ({ alias, score: commonPrefixLength(alias) - Math.abs(alias.length - typeName.length) * 0.1 }))
+        .filter(d => d.score >= 1)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxCount)
+        .map(d => d.alias);
+}
+
+/**
+ * Resolves a chord symbol to concrete notes, e.g. to show and play a chord
+ * that was typed in.
+ * Throws an Error with a message that explains what is wrong with invalid
+ * symbols.
+ * @param {string} input chord symbol, e.g. 'F#m7b5/C' or 'Cmaj9#11'
+ * @param {number} inversion number of lowest chord tones that are moved up
+ *      an octave
+ * @param {number} octave octave of the lowest chord tone in root position
+ * @returns {Object} {chord, symbol, bass, pitches, noteNames, intervals,
+ *      formula}, pitches are ascending MIDI pitches including the slash bass,
+ *      intervals are {interval, name, note}
+ */
+export function lookupChord(input, inversion = 0, octave = 4) {
+    const text = input.trim();
+    if (text === '') {
+        throw new Error('Type a chord symbol, e.g. Cmaj7, F#m7b5 or G7/B');
+    }
+    const slashIndex = text.lastIndexOf('/');
+    const chordText = slashIndex > 0 ? text.slice(0, slashIndex) : text;
+    const bassText = slashIndex > 0 ? text.slice(slashIndex + 1) : null;
+    const [tonic, typeName] = Chord.tokenize(chordText);
+    if (!tonic) {
+        throw new Error(`"${chordText}" does not start with a note name, use A to G followed by # or b, e.g. F#m7`);
+    }
+    const chord = Chord.getChord(typeName, tonic);
+    if (chord.empty) {
+        const suggestions = getSimilarChordTypes(typeName);
+        const hint = suggestions.length > 0
+            ? `, did you mean ${suggestions.map(d => `${tonic}${d}`).join(', ')}?`
+            : '';
+        throw new Error(`Unknown chord type "${typeName}"${hint}`);
+    }
+    let bass = null;
+    if (bassText !== null) {
+        bass = TonalNote.get(bassText);
+        if (bass.empty || bass.oct !== undefined) {
+            throw new Error(`"${bassText}" after the slash is not a note name, e.g. use G7/B`);
+        }
+    }
+    // Chord tones from the intervals, so extensions stay above the octave
+    const rootPitch = TonalNote.midi(`${chord.tonic}${octave}`);
+    let pitches = chord.intervals.map(d => rootPitch + Interval.semitones(d));
+    const inversionCount = Math.min(inversion, chord.notes.length - 1);
+    for (let i = 0; i < inversionCount; i++) {
+        pitches.push(pitches.shift() + 12);
+        pitches.sort((a, b) => a - b);
+    }
+    if (bass) {
+        let bassPitch = TonalNote.midi(`${bass.pc}${octave}`);
+        while (bassPitch >= pitches[0]) {
+            bassPitch -= 12;
+        }
+        // A bass that is also a chord tone is not doubled right above it
+        pitches = pitches.filter(d => d % 12 !== bassPitch % 12 || d - bassPitch > 12);
+        pitches.unshift(bassPitch);
+    }
+    pitches = pitches.filter(d => d >= 0 && d <= 127);
+    return {
+        chord,
+        symbol: bass ? `${chord.symbol}/${bass.pc}` : chord.symbol,
+        bass: bass ? bass.pc : null,
+        pitches,
+        noteNames: pitches.map(d => spellPitch(d, bass ? [bass.pc, ...chord.notes] : chord.notes)),
+        intervals: chord.intervals.map((d, i) => ({
+            interval: d,
+            name: getIntervalName(d),
+            note: chord.notes[i]
+        })),
+        formula: chord.intervals.map(getFormulaDegree).join(' ')
+    };
+}
@@ -0,0 +1,139 @@
+import { Interval, Note as TonalNote } from '@tonaljs/tonal';
+import { parseChordSymbol } from './ChordUtils';
+import { analyzeChord } from './RomanNumerals';
+import { analyzeVoicing } from './Voicing';
+
+/**
+ * Chord types that are more likely than rare ones with the same notes, as
+ * tonal chord type names
+ */
+const COMMON_CHORD_TYPES = new Set([
+    'major', 'minor', 'diminished', 'augmented',
+    'dominant seventh', 'major seventh', 'minor seventh', 'half-diminished', 'diminished seventh',
+    'suspended fourth', 'suspended second', 'sixth', 'minor sixth',
+    'dominant ninth', 'major ninth', 'minor ninth'
+]);
+
+/**
+ * Score for each harmonic function in the analysis key
+ */
+const FUNCTION_SCORES = {
+    tonic: 2,
+    subdominant: 2,
+    dominant: 2,
+    'secondary dominant': 1.5,
+    borrowed: 1,
+    chromatic: 0
+};
+
+/**
+ * Scores a single chord candidate
+ * @param {string} symbol chord symbol
+ * @param {Note[]} notes played notes, sorted by pitch
+ * @param {Object|null} key analysis key
+ * @param {string[]} recentChords recently played chord symbols, most recent
+ *      last
+ * @returns {Object} {symbol, score, criteria}, criteria maps each criterion
+ *      that changed the score to {score, reason} with a short text
+ */
+function scoreChord(symbol, notes, key, recentChords) {
+    const { chord, bass } = parseChordSymbol(symbol);
+    const criteria = {};
+    const add = (criterion, score, reason) => {
+        criteria[criterion] = { score, reason };
+    };
+    if (chord.empty || !chord.tonic) {
+        return { symbol, score: -Infinity, criteria };
+    }
+    const rootPitchClass = TonalNote.chroma(chord.tonic);
+    const playedPitchClasses = new Set(notes.map(d => d.pitch % 12));
+    // Bass
+    const bassName = notes.length > 0 ? notes[0].getLetter() : null;
+    if (notes.length > 0 && notes[0].pitch % 12 === rootPitchClass) {
+        add('bass', 3, `bass is ${bassName}`);
+    } else if (bass) {
+        add('bass', 1, `inversion over ${bass}`);
+    }
+    if (!playedPitchClasses.has(rootPitchClass)) {
+        add('root', -2, `no ${chord.tonic} played`);
+    }
+    // Voicing and chord type
+    if (COMMON_CHORD_TYPES.has(chord.type)) {
+        add('type', 1, 'common chord type');
+    }
+    const voicing = analyzeVoicing(notes, symbol);
+    if (voicing && ['close', 'shell', 'drop-2', 'drop-3'].includes(voicing.voicing)) {
+        add('voicing', 0.5, `typical ${voicing.voicing} voicing`);
+    }
+    // Key
+    if (key) {
+        const analysis = analyzeChord(symbol, key);
+        if (analysis && FUNCTION_SCORES[analysis.function] > 0) {
+            add('key', FUNCTION_SCORES[analysis.function], `${analysis.numeral} in ${key.name}`);
+        }
+    }
+    // Recent harmonic context
+    const previous = recentChords[recentChords.length - 1];
+    if (previous) {
+        const { chord: previousChord } = parseChordSymbol(previous);
+        if (previousChord.tonic && Interval.distance(previousChord.tonic, chord.tonic) === '4P') {
+            add('resolution', 1, `resolves a fifth down from ${previous}`);
+        }
+    }
+    if (recentChords.some(d => parseChordSymbol(d).chord.symbol === chord.symbol)) {
+        add('recent', 0.5, 'played recently');
+    }
+    const score = Object.values(criteria).reduce((sum, d) => sum + d.score, 0);
+    return { symbol, score, criteria };
+}
+
+/**
+ * Ranks the candidates returned by Chord.detect by bass note, voicing,
+ * harmonic context and key
+ * @param {string[]} candidates chord symbols
+ * @param {Note[]} notes played notes, sorted by pitch
+ * @param {Object|null} key analysis key
+ * @param {string[]} recentChords recently played chord symbols, most recent
+ *      last
+ * @returns {Object[]} {symbol, score, criteria}, best first, ties keep the
+ *      order of the candidates
+ */
+export function rankChords(candidates, notes, key = null, recentChords = []) {
+    return candidates
+        .map((symbol, index) => ({ ...scoreChord(symbol, notes, key, recentChords), index }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ index, ...d }) => d);
+}
+
+/**
+ * Explains why the best candidate is ranked above the second best one,
+ * e.g. 'bass is A → Am7 preferred'. Only criteria where the best candidate
+ * scored higher are named.
+ * @param {Object[]} ranking ranking, see rankChords
+ * @returns {string} explanation, empty if there are no alternatives
+ */
+export function explainRanking(ranking) {
+    if (ranking.length < 2) {
+        return '';
+    }
+    const [best, second] = ranking;
+    if (best.score === second.score) {
+        return `${best.symbol} and ${second.symbol} are equally likely`;
+    }
+    const getScore = (candidate, criterion) => candidate.criteria[criterion]
+        ? candidate.criteria[criterion].score
+        : 0;
+    const reasons = Object.keys(best.criteria)
+        .filter(d => best.criteria[d].score > getScore(second, d))
+        .map(d => best.criteria[d].reason);
+    // The second one may have lost on a penalty only it has
+    for (let criterion of Object.keys(second.criteria)) {
+        if (!best.criteria[criterion] && second.criteria[criterion].score < 0) {
+            reasons.push(`${second.symbol}: ${second.criteria[criterion].reason}`);
+        }
+    }
+    if (reasons.length === 0) {
+        return `${best.symbol} preferred`;
+    }
+    return `${reasons.join(', ')} → ${best.symbol} preferred`;
+}
@@ -0,0 +1,19 @@
+import { Note } from 'musicvis-lib';
+import { rankChords, explainRanking } from './ChordRanking';
+import { getKey } from './KeyDetection';
+
+const notes = [57, 60, 64, 67].map(d => new Note(d, 0, 100));
+
+test('explanation only names criteria that decided the ranking', () => {
+    const ranking = rankChords(['C6/A', 'Am7'], notes, getKey('G', 'major'));
+    expect(ranking.map(d => d.symbol)).toEqual(['Am7', 'C6/A']);
+    // Both chords get the same key score, as ii7 and IV6
+    expect(ranking[0].criteria.key.score).toBe(ranking[1].criteria.key.score);
+    const explanation = explainRanking(ranking);
+    expect(explanation).toBe('bass is A → Am7 preferred');
+});
+
+test('explanation names a penalty of the second candidate', () => {
+    const ranking = rankChords(['Am7', 'D9'], notes);
+    expect(explainRanking(ranking)).toBe('bass is A, D9: no D played → Am7 preferred');
+});
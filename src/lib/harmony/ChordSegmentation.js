@@ -0,0 +1,65 @@
+import { Chord } from '@tonaljs/tonal';
+import { Midi } from 'musicvis-lib';
+
+/**
+ * Detects chords for the pitch classes of notes, like App.getChordName
+ * @param {Note[]} notes notes
+ * @returns {string[]} possible chord names
+ */
+export function detectChords(notes) {
+    const sorted = [...notes].sort((a, b) => a.pitch - b.pitch);
+    return Chord.detect(sorted.map(d => Midi.getMidiNoteByNr(d.pitch).name));
+}
+
+/**
+ * Splits notes into harmonic segments, each segment starts where the set of
+ * sounding pitches changes. Consecutive segments with the same chord are
+ * merged, segments without a detected chord are dropped.
+ * @param {Note[]} notes notes, unfinished notes (end === null) are treated
+ *      as ending at endTime
+ * @param {number} endTime end time for unfinished notes
+ * @returns {Object[]} segments {start, end, chords, notes}, sorted by time
+ */
+export function getChordSegments(notes, endTime = Infinity) {
+    // Sweep over note starts and ends, ends first when at the same time
+    const events = [];
+    for (let note of notes) {
+        const end = note.end === null ? endTime : note.end;
+        if (end > note.start) {
+            events.push({ time: note.start, isStart: true, note });
+            events.push({ time: end, isStart: false, note });
+        }
+    }
+    events.sort((a, b) => a.time - b.time || a.isStart - b.isStart);
+    const sounding = new Set();
+    const segments = [];
+    let i = 0;
+    while (i < events.length) {
+        const start = events[i].time;
+        while (i < events.length && events[i].time === start) {
+            const { isStart, note } = events[i];
+            if (isStart) {
+                sounding.add(note);
+            } else {
+                sounding.delete(note);
+            }
+            i++;
+        }
+        if (sounding.size === 0 || i >= events.length) {
+            continue;
+        }
+        const end = events[i].time;
+        const segmentNotes = [...sounding].sort((a, b) => a.pitch - b.pitch);
+        const chords = detectChords(segmentNotes);
+        if (chords.length === 0) {
+            continue;
+        }
+        const last = segments[segments.length - 1];
+        if (last && last.end === start && last.chords.join() === chords.join()) {
+            last.end = end;
+            continue;
+        }
+        segments.push({ start, end, chords, notes: segmentNotes });
+    }
+    return segments;
+}
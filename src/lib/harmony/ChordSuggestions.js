@@ -0,0 +1,257 @@
+import { Note as TonalNote, Scale } from '@tonaljs/tonal';
+import { parseChordSymbol, getChordPitchClasses, getChordPitches } from './ChordUtils';
+import { getKey } from './KeyDetection';
+import { analyzeChord } from './RomanNumerals';
+
+/**
+ * Chord symbol suffixes of stacked thirds, by the semitones of the third,
+ * fifth and (optional) seventh above the root
+ */
+const STACKED_CHORD_SUFFIXES = new Map([
+    ['4 7', ''],
+    ['3 7', 'm'],
+    ['3 6', 'dim'],
+    ['4 8', 'aug'],
+    ['4 7 11', 'maj7'],
+    ['4 7 10', '7'],
+    ['3 7 10', 'm7'],
+    ['3 7 11', 'mMaj7'],
+    ['3 6 10', 'm7b5'],
+    ['3 6 9', 'dim7'],
+    ['4 8 11', 'maj7#5'],
+    ['4 8 10', '7#5']
+]);
+
+/**
+ * Score for the root movement from the current chord, by the semitones the
+ * root moves up. Falling fifths are the strongest progression, followed by
+ * falling thirds and rising steps.
+ */
+const ROOT_MOTION_SCORES = [0, 1, 1.5, 1, 1, 3, 0.5, 1.5, 2, 2, 1, 0.5];
+
+/**
+ * Base score of each suggestion category
+ */
+const CATEGORY_SCORES = {
+    diatonic: 2,
+    'secondary dominant': 1,
+    'tritone substitution': 0.5,
+    'modal interchange': 0.5
+};
+
+/**
+ * Returns the chord that is built by stacking thirds on a scale degree
+ * @param {string[]} scaleNotes note names of a heptatonic scale
+ * @param {number} step scale degree, starting at 0
+ * @param {boolean} seventh add the seventh?
+ * @returns {string|null} chord symbol or null if the chord has no common
+ *      name
+ */
+function getStackedChord(scaleNotes, step, seventh) {
+    const root = scaleNotes[step];
+    const rootPc = TonalNote.chroma(root);
+    const intervals = (seventh ? [2, 4, 6] : [2, 4])
+        .map(d => (TonalNote.chroma(scaleNotes[(step + d) % scaleNotes.length]) - rootPc + 12) % 12);
+    const suffix = STACKED_CHORD_SUFFIXES.get(intervals.join(' '));
+    return suffix === undefined ? null : `${root}${suffix}`;
+}
+
+/**
+ * Returns the scale of a key that chords are taken from
+ * @param {Object} key key {tonic, type}
+ * @returns {string[]} note names
+ */
+function getKeyScale(key) {
+    return Scale.get(`${key.tonic} ${key.type}`).notes;
+}
+
+/**
+ * Returns the candidate chords of all categories, without scores
+ * @param {Object} key key {tonic, type}
+ * @param {boolean} seventh use seventh chords instead of triads?
+ * @returns {Object[]} candidates {symbol, category}
+ */
+function getCandidates(key, seventh) {
+    const candidates = [];
+    const scaleNotes = getKeyScale(key);
+    if (scaleNotes.length !== 7) {
+        return candidates;
+    }
+    const diatonic = scaleNotes.map((_, step) => getStackedChord(scaleNotes, step, seventh));
+    for (let symbol of diatonic) {
+        if (symbol) {
+            candidates.push({ symbol, category: 'diatonic' });
+        }
+    }
+    // Dominants of the diatonic major and minor chords other than the tonic,
+    // together with their tritone substitutes
+    diatonic.forEach((symbol, step) => {
+        if (!symbol) {
+            return;
+        }
+        const { chord } = parseChordSymbol(symbol);
+        if (chord.quality !== 'Major' && chord.quality !== 'Minor') {
+            return;
+        }
+        const target = scaleNotes[step];
+        const dominant = TonalNote.simplify(TonalNote.transpose(target, '5P'));
+        if (step !== 0) {
+            candidates.push({ symbol: `${dominant}7`, category: 'secondary dominant' });
+        }
+        const substitute = TonalNote.simplify(TonalNote.transpose(target, '2m'));
+        candidates.push({ symbol: `${substitute}7`, category: 'tritone substitution' });
+    });
+    // Chords borrowed from the parallel major or minor key
+    const parallelType = key.type === 'major' ? 'minor' : 'major';
+    const parallelNotes = getKeyScale({ tonic: key.tonic, type: parallelType });
+    parallelNotes.forEach((_, step) => {
+        const symbol = getStackedChord(parallelNotes, step, seventh);
+        if (symbol) {
+            candidates.push({ symbol, category: 'modal interchange' });
+        }
+    });
+    return candidates;
+}
+
+/**
+ * Voices a chord as close as possible to the current voicing: each voice
+ * moves to the nearest chord tone, then chord tones that are still missing
+ * replace doubled ones where this costs the least movement. If there are
+ * fewer voices than chord tones, the remaining ones are added as new voices
+ * above the bass.
+ * @param {number[]} fromPitches current MIDI pitches, sorted
+ * @param {Set<number>} pitchClasses pitch classes of the next chord
+ * @returns {number[]} target pitch for each voice, followed by the added
+ *      voices
+ */
+export function voiceLead(fromPitches, pitchClasses) {
+    const nearest = (pitch, pcs) => {
+        for (let distance = 0; distance < 12; distance++) {
+            // Prefer moving down on ties, it keeps the voicing in place
+            if (pcs.has((pitch - distance + 120) % 12)) {
+                return pitch - distance;
+            }
+            if (pcs.has((pitch + distance) % 12)) {
+                return pitch + distance;
+            }
+        }
+        return pitch;
+    };
+    const targets = fromPitches.map(d => nearest(d, pitchClasses));
+    const countPc = pc => targets.filter(d => d % 12 === pc).length;
+    for (let pc of pitchClasses) {
+        if (countPc(pc) > 0) {
+            continue;
+        }
+        let best = null;
+        targets.forEach((target, i) => {
+            if (countPc(target % 12) < 2) {
+                return;
+            }
+            const pitch = nearest(fromPitches[i], new Set([pc]));
+            const cost = Math.abs(pitch - fromPitches[i]) - Math.abs(target - fromPitches[i]);
+            if (!best || cost < best.cost) {
+                best = { i, pitch, cost };
+            }
+        });
+        if (best) {
+            targets[best.i] = best.pitch;
+        }
+    }
+    // Add missing chord tones close to the middle of the voicing, but above
+    // the bass so the inversion does not change
+    const bass = Math.min(...targets);
+    const sorted = [...targets].sort((a, b) => a - b);
+    const middle = sorted[Math.floor(sorted.length / 2)];
+    for (let pc of pitchClasses) {
+        if (countPc(pc) > 0) {
+            continue;
+        }
+        let pitch = nearest(middle, new Set([pc]));
+        if (pitch <= bass) {
+            pitch += 12;
+        }
+        targets.push(pitch);
+    }
+    return targets;
+}
+
+/**
+ * Suggests chords that can follow the current chord in a key: diatonic
+ * neighbours, secondary dominants, tritone substitutions and chords borrowed
+ * from the parallel key. Suggestions are ranked by category, root movement
+ * and how smoothly they can be reached from the current voicing.
+ * @param {string} symbol current chord symbol
+ * @param {Object|null} key analysis key, if null the key of the current
+ *      chord is assumed
+ * @param {number[]} voicing current MIDI pitches, e.g. the held notes, may be
+ *      empty
+ * @param {number} maxCount maximum number of suggestions
+ * @returns {Object[]} suggestions {symbol, category, numeral, description,
+ *      pitches, commonTones, moves, movement, score}, best first. moves are
+ *      {from, to} for each voice that changes, movement is the sum of all
+ *      moves in semitones.
+ */
+export function suggestNextChords(symbol, key, voicing = [], maxCount = 8) {
+    const { chord } = parseChordSymbol(symbol);
+    if (chord.empty || !chord.tonic) {
+        return [];
+    }
+    if (!key) {
+        const minor = chord.quality === 'Minor' || chord.quality === 'Diminished';
+        key = getKey(chord.tonic, minor ? 'minor' : 'major');
+    }
+    const currentPcs = getChordPitchClasses(chord);
+    const rootPc = TonalNote.chroma(chord.tonic);
+    const seventh = chord.notes.length > 3;
+    const fromPitches = [...voicing].sort((a, b) => a - b);
+    const seen = new Set();
+    const suggestions = [];
+    for (let { symbol: candidate, category } of getCandidates(key, seventh)) {
+        const { chord: next } = parseChordSymbol(candidate);
+        const pcs = getChordPitchClasses(next);
+        const pcKey = [...pcs].sort((a, b) => a - b).join(' ');
+        // Skip the current chord and chords that were already suggested in
+        // a more common category
+        const isCurrent = pcs.size === currentPcs.size && [...pcs].every(d => currentPcs.has(d));
+        if (isCurrent || seen.has(pcKey)) {
+            continue;
+        }
+        seen.add(pcKey);
+        let pitches;
+        let commonTones = [];
+        let moves = [];
+        let movement = 0;
+        if (fromPitches.length > 0) {
+            const targets = voiceLead(fromPitches, pcs);
+            pitches = [...new Set(targets)].sort((a, b) => a - b);
+            commonTones = fromPitches.filter((d, i) => targets[i] === d);
+            moves = fromPitches
+                .map((from, i) => ({ from, to: targets[i] }))
+                .filter(d => d.from !== d.to);
+            movement = moves.reduce((sum, d) => sum + Math.abs(d.to - d.from), 0);
+        } else {
+            pitches = getChordPitches(candidate);
+        }
+        const analysis = analyzeChord(candidate, key);
+        const rootMotion = (TonalNote.chroma(next.tonic) - rootPc + 12) % 12;
+        const score = CATEGORY_SCORES[category]
+            + ROOT_MOTION_SCORES[rootMotion]
+            + 0.3 * commonTones.length
+            - (fromPitches.length > 0 ? movement / fromPitches.length * 0.2 : 0);
+        suggestions.push({
+            symbol: candidate,
+            category,
+            numeral: analysis ? analysis.numeral : '',
+            description: analysis ? analysis.description : category,
+            pitches,
+            commonTones,
+            moves,
+            movement,
+            score
+        });
+    }
+    return suggestions
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxCount);
+}
@@ -0,0 +1,52 @@
+import { Note as TonalNote } from '@tonaljs/tonal';
+import { suggestNextChords, voiceLead } from './ChordSuggestions';
+import { parseChordSymbol, getChordPitchClasses } from './ChordUtils';
+import { getKey } from './KeyDetection';
+
+/**
+ * Returns the pitch classes of a chord symbol
+ * @param {string} symbol chord symbol
+ * @returns {Set<number>} pitch classes
+ */
+function getPitchClasses(symbol) {
+    return getChordPitchClasses(parseChordSymbol(symbol).chord);
+}
+
+describe('voiceLead', () => {
+    test('adds chord tones when there are fewer voices than tones', () => {
+        const targets = voiceLead([57, 60, 64], getPitchClasses('D7'));
+        expect(new Set(targets.map(d => d % 12))).toEqual(getPitchClasses('D7'));
+        // The bass stays the lowest voice
+        expect(Math.min(...targets)).toBe(targets[0]);
+    });
+
+    test('keeps the number of voices when all tones are covered', () => {
+        expect(voiceLead([48, 52, 55, 60], getPitchClasses('F'))).toHaveLength(4);
+    });
+});
+
+describe('suggestNextChords', () => {
+    test('every preview contains every pitch class of its chord', () => {
+        const voicings = [
+            ['Am', getKey('A', 'minor'), [57, 60, 64]],
+            ['C', getKey('C', 'major'), [48, 52, 55]],
+            ['C', getKey('C', 'major'), [60, 64]],
+            ['G7', null, [55, 59, 62, 65]]
+        ];
+        for (let [symbol, key, voicing] of voicings) {
+            const suggestions = suggestNextChords(symbol, key, voicing, 100);
+            expect(suggestions.length).toBeGreaterThan(0);
+            for (let suggestion of suggestions) {
+                const pcs = new Set(suggestion.pitches.map(d => d % 12));
+                expect([...pcs].sort()).toEqual([...getPitchClasses(suggestion.symbol)].sort());
+            }
+        }
+    });
+
+    test('secondary dominant from a held triad is complete', () => {
+        const suggestions = suggestNextChords('Am', getKey('A', 'minor'), [57, 60, 64], 100);
+        const d7 = suggestions.find(d => d.symbol === 'D7');
+        expect(d7).toBeDefined();
+        expect(d7.pitches.map(d => d % 12)).toContain(TonalNote.chroma('F#'));
+    });
+});
@@ -0,0 +1,62 @@
+import { Chord, Note as TonalNote } from '@tonaljs/tonal';
+
+/**
+ * Parses a chord symbol as returned by Chord.detect, which may contain a
+ * slash with a bass note (e.g. 'Am7/C') that Chord.get cannot handle.
+ * @param {string} symbol chord symbol
+ * @returns {Object} {chord, bass} with the tonal chord object and the bass
+ *      note name or null if there is no slash
+ */
+export function parseChordSymbol(symbol) {
+    const slashIndex = symbol.lastIndexOf('/');
+    if (slashIndex > 0) {
+        const bass = symbol.slice(slashIndex + 1);
+        if (TonalNote.get(bass).empty === false) {
+            return {
+                chord: Chord.get(symbol.slice(0, slashIndex)),
+                bass
+            };
+        }
+    }
+    return { chord: Chord.get(symbol), bass: null };
+}
+
+/**
+ * Returns the set of pitch classes of a chord's notes
+ * @param {Object} chord tonal chord object
+ * @returns {Set<number>} pitch classes in [0, 11]
+ */
+export function getChordPitchClasses(chord) {
+    return new Set(chord.notes.map(TonalNote.chroma));
+}
+
+/**
+ * Returns the MIDI pitches of a chord in root position, starting at the root
+ * in the given octave. For slash chords, the bass note is added below.
+ * @param {string} symbol chord symbol, e.g. 'Cmaj7' or 'Am7/C'
+ * @param {number} octave octave of the root
+ * @returns {number[]} ascending MIDI pitches, empty for unknown chords
+ */
+export function getChordPitches(symbol, octave = 4) {
+    const { chord, bass } = parseChordSymbol(symbol);
+    if (chord.empty || !chord.tonic) {
+        return [];
+    }
+    const pitches = [];
+    let pitch = TonalNote.midi(`${chord.tonic}${octave}`);
+    for (let note of chord.notes) {
+        const chroma = TonalNote.chroma(note);
+        while ((pitch - chroma) % 12 !== 0) {
+            pitch++;
+        }
+        pitches.push(pitch);
+    }
+    if (bass) {
+        let bassPitch = TonalNote.midi(`${bass}${octave}`);
+        while (bassPitch >= pitches[0]) {
+            bassPitch -= 12;
+        }
+        pitches.unshift(bassPitch);
+    }
+    return pitches;
+}
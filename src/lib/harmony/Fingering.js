@@ -0,0 +1,205 @@
+import { Note as TonalNote } from '@tonaljs/tonal';
+import { parseChordSymbol, getChordPitchClasses } from './ChordUtils';
+
+/**
+ * Maximum number of frets a hand can span, without open strings
+ */
+const MAX_SPAN = 4;
+
+/**
+ * Score penalty for a chord tone other than the root in the bass, so
+ * root-position shapes come first
+ */
+const INVERSION_PENALTY = 2.5;
+
+/**
+ * Returns fretted positions for a chord on a stringed instrument, like the
+ * chord shapes in a chord book.
+ * A shape has at least three sounding strings (or as many as the chord has
+ * notes), contains all chord tones except possibly the fifth and can be
+ * played with four fingers, where the lowest fret may be a barre.
+ * Slash chords need their bass note as lowest note, other chords may have any
+ * chord tone there, but shapes with the root there are preferred.
+ * For example, the ukulele's Am7 0000 has C in the bass.
+ * @param {string} symbol chord symbol, e.g. 'Am7' or 'C/E'
+ * @param {number[]} tuning open string pitches, lowest string first
+ * @param {number} fretCount number of frets
+ * @param {number} maxResults maximum number of fingerings
+ * @returns {Object[]} fingerings {frets, fingers, score}, sorted by score
+ *      (lower is better). frets and fingers have one entry per string
+ *      (lowest first), fret -1 means muted, finger 0 means open or muted.
+ */
+export function getChordFingerings(symbol, tuning, fretCount = 15, maxResults = 5) {
+    const { chord, bass } = parseChordSymbol(symbol);
+    if (chord.empty || !chord.tonic) {
+        return [];
+    }
+    const chordPitchClasses = getChordPitchClasses(chord);
+    const rootPitchClass = TonalNote.chroma(chord.tonic);
+    const bassPitchClass = bass ? TonalNote.chroma(bass) : null;
+    if (bassPitchClass !== null) {
+        chordPitchClasses.add(bassPitchClass);
+    }
+    // The fifth is often left out
+    const fifthPitchClass = (rootPitchClass + 7) % 12;
+    const requiredPitchClasses = [...chordPitchClasses].filter(d => d !== fifthPitchClass || chordPitchClasses.size <= 3);
+    const minSounding = Math.min(3, chordPitchClasses.size, tuning.length);
+    // Best fingerings so far by frets, sorted by score
+    const best = [];
+    const found = new Set();
+    const getWorstScore = () => best.length < maxResults ? Infinity : best[best.length - 1].score;
+    for (let baseFret = 1; baseFret <= fretCount - MAX_SPAN + 1; baseFret++) {
+        // Options for each string in this hand position
+        const options = tuning.map(openPitch => {
+            const stringOptions = [-1];
+            if (chordPitchClasses.has(openPitch % 12)) {
+                stringOptions.push(0);
+            }
+            for (let fret = baseFret; fret < baseFret + MAX_SPAN; fret++) {
+                if (chordPitchClasses.has((openPitch + fret) % 12)) {
+                    stringOptions.push(fret);
+                }
+            }
+            return stringOptions;
+        });
+        const frets = new Array(tuning.length).fill(-1);
+        // Branch and bound: a branch is left as soon as it needs more than
+        // four fingers or cannot score better than the fingerings found so
+        // far, otherwise instruments with many strings take seconds
+        const search = (string, muted, innerMuted, lastSounding) => {
+            const fretted = frets.slice(0, string).filter(d => d > 0);
+            let lowerBound = muted * 1.5 + innerMuted * 3;
+            if (fretted.length > 0) {
+                const minFret = Math.min(...fretted);
+                // Each fretted note above the lowest fret needs a finger
+                const fingers = fretted.filter(d => d > minFret).length + 1;
+                if (fingers > 4) {
+                    return;
+                }
+                lowerBound += baseFret * 0.5 + Math.max(...fretted) - minFret + fingers * 0.5;
+            }
+            if (lowerBound >= getWorstScore()) {
+                return;
+            }
+            if (string === tuning.length) {
+                const key = frets.join();
+                if (found.has(key)) {
+                    return;
+                }
+                const fingering = evaluateFingering(frets, tuning, chordPitchClasses, requiredPitchClasses, rootPitchClass, bassPitchClass, minSounding);
+                if (fingering && fingering.score < getWorstScore()) {
+                    found.add(key);
+                    best.push(fingering);
+                    best.sort((a, b) => a.score - b.score);
+                    if (best.length > maxResults) {
+                        found.delete(best.pop().frets.join());
+                    }
+                }
+                return;
+            }
+            for (let fret of options[string]) {
+                frets[string] = fret;
+                if (fret === -1) {
+                    search(string + 1, muted + 1, innerMuted, lastSounding);
+                } else {
+                    // Muted strings count as inner ones once a string
+                    // above them sounds
+                    const newInnerMuted = lastSounding === null ? innerMuted : innerMuted + string - lastSounding - 1;
+                    search(string + 1, muted, newInnerMuted, string);
+                }
+            }
+            frets[string] = -1;
+        };
+        search(0, 0, 0, null);
+    }
+    return best;
+}
+
+/**
+ * Checks whether a combination of frets is a playable chord shape and rates
+ * it
+ * @param {number[]} frets fret per string, -1 for muted
+ * @param {number[]} tuning open string pitches
+ * @param {Set<number>} chordPitchClasses pitch classes of the chord
+ * @param {number[]} requiredPitchClasses pitch classes that must sound
+ * @param {number} rootPitchClass pitch class of the root
+ * @param {number|null} bassPitchClass pitch class the lowest note must have,
+ *      null to allow any chord tone
+ * @param {number} minSounding minimum number of sounding strings
+ * @returns {Object|null} {frets, fingers, score} or null if not valid
+ */
+function evaluateFingering(frets, tuning, chordPitchClasses, requiredPitchClasses, rootPitchClass, bassPitchClass, minSounding) {
+    const sounding = [];
+    frets.forEach((fret, string) => {
+        if (fret >= 0) {
+            sounding.push({ string, fret, pitch: tuning[string] + fret });
+        }
+    });
+    if (sounding.length < minSounding) {
+        return null;
+    }
+    const pitchClasses = new Set(sounding.map(d => d.pitch % 12));
+    if (requiredPitchClasses.some(d => !pitchClasses.has(d))) {
+        return null;
+    }
+    const lowest = sounding.reduce((a, b) => b.pitch < a.pitch ? b : a);
+    if (bassPitchClass !== null && lowest.pitch % 12 !== bassPitchClass) {
+        return null;
+    }
+    const isInversion = bassPitchClass === null && lowest.pitch % 12 !== rootPitchClass;
+    // Fingers: the lowest fret can be a barre over all strings above it
+    const fretted = sounding.filter(d => d.fret > 0);
+    const fingers = new Array(frets.length).fill(0);
+    let fingerCount = 0;
+    let minFret = 0;
+    if (fretted.length > 0) {
+        minFret = Math.min(...fretted.map(d => d.fret));
+        const atMinFret = fretted.filter(d => d.fret === minFret);
+        const barreStart = Math.min(...atMinFret.map(d => d.string));
+        // A barre cannot have open strings below it
+        const canBarre = sounding.every(d => d.string < barreStart || d.fret >= minFret);
+        // Assign fingers from the lowest fret and string on, higher frets
+        // need higher fingers
+        const toAssign = canBarre ? fretted.filter(d => d.fret > minFret) : fretted;
+        toAssign.sort((a, b) => a.fret - b.fret || a.string - b.string);
+        let nextFinger = 1;
+        if (canBarre) {
+            for (let { string } of atMinFret) {
+                fingers[string] = 1;
+            }
+            nextFinger = 2;
+        }
+        for (let { string, fret } of toAssign) {
+            fingers[string] = Math.max(nextFinger, fret - minFret + 1);
+            nextFinger = fingers[string] + 1;
+        }
+        fingerCount = Math.max(...fingers);
+    }
+    if (fingerCount > 4) {
+        return null;
+    }
+    // Muted strings between sounding strings are hard to play
+    const firstSounding = sounding[0].string;
+    const lastSounding = sounding[sounding.length - 1].string;
+    const innerMuted = frets.slice(firstSounding, lastSounding + 1).filter(d => d === -1).length;
+    const maxFret = Math.max(...frets);
+    const span = fretted.length > 0 ? maxFret - minFret : 0;
+    const score = minFret * 0.5
+        + span
+        + innerMuted * 3
+        + (frets.length - sounding.length) * 1.5
+        + (chordPitchClasses.size - pitchClasses.size)
+        + fingerCount * 0.5
+        + (isInversion ? INVERSION_PENALTY : 0);
+    return { frets: [...frets], fingers, score };
+}
+
+/**
+ * Formats a fingering in the usual notation, e.g. x32010
+ * @param {number[]} frets fret per string, lowest first, -1 for muted
+ * @returns {string} fingering
+ */
+export function formatFingering(frets) {
+    const separator = frets.some(d => d > 9) ? '-' : '';
+    return frets.map(d => d === -1 ? 'x' : d).join(separator);
+}
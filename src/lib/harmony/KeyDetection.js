@@ -0,0 +1,191 @@
+import { Note as TonalNote, Scale } from '@tonaljs/tonal';
+
+/**
+ * Krumhansl-Kessler key profiles, index 0 is the tonic
+ * https://doi.org/10.1037/0033-295X.89.4.334
+ */
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * Weights of the degrees of a major scale and of out-of-scale pitches,
+ * taken from the major profile, used to derive profiles for modes
+ */
+const DEGREE_WEIGHTS = [0, 2, 4, 5, 7, 9, 11].map(d => MAJOR_PROFILE[d]);
+const NON_SCALE_WEIGHT = 2.35;
+
+/**
+ * Scale types that are considered for key detection
+ */
+export const MAJOR_MINOR_SCALES = ['major', 'minor'];
+export const MODAL_SCALES = ['major', 'minor', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'locrian'];
+
+const PITCH_CLASS_SPELLINGS = [
+    ['C'], ['C#', 'Db'], ['D'], ['D#', 'Eb'], ['E'], ['F'],
+    ['F#', 'Gb'], ['G'], ['G#', 'Ab'], ['A'], ['A#', 'Bb'], ['B']
+];
+const tonicNameCache = new Map();
+
+/**
+ * Computes a pitch class histogram from all notes that sound within
+ * [startTime, endTime], each note is weighted by its duration inside this
+ * window. Notes that have not ended yet are treated as ending at endTime.
+ * @param {Note[]} notes notes
+ * @param {number} startTime start of the time window in seconds
+ * @param {number} endTime end of the time window in seconds
+ * @returns {number[]} histogram with 12 bins, index 0 is C
+ */
+export function getPitchClassHistogram(notes, startTime, endTime) {
+    const histogram = new Array(12).fill(0);
+    for (let note of notes) {
+        const start = Math.max(note.start, startTime);
+        const end = Math.min(note.end === null ? endTime : note.end, endTime);
+        if (end > start) {
+            histogram[note.pitch % 12] += end - start;
+        }
+    }
+    return histogram;
+}
+
+/**
+ * Returns the profile for a scale type with its tonic at index 0
+ * @param {string} scaleType tonal scale type, e.g. 'major' or 'dorian'
+ * @returns {number[]} profile with 12 entries
+ */
+function getProfile(scaleType) {
+    if (scaleType === 'major') {
+        return MAJOR_PROFILE;
+    }
+    if (scaleType === 'minor') {
+        return MINOR_PROFILE;
+    }
+    const chroma = Scale.get(`C ${scaleType}`).chroma;
+    const profile = new Array(12).fill(NON_SCALE_WEIGHT);
+    let degree = 0;
+    for (let pc = 0; pc < 12; pc++) {
+        if (chroma[pc] === '1') {
+            profile[pc] = DEGREE_WEIGHTS[degree] ?? NON_SCALE_WEIGHT;
+            degree++;
+        }
+    }
+    return profile;
+}
+
+/**
+ * Pearson correlation of two arrays with equal lengths
+ * @param {number[]} a an array
+ * @param {number[]} b another array
+ * @returns {number} correlation in [-1, 1]
+ */
+function correlation(a, b) {
+    const n = a.length;
+    const meanA = a.reduce((s, d) => s + d, 0) / n;
+    const meanB = b.reduce((s, d) => s + d, 0) / n;
+    let cov = 0;
+    let varA = 0;
+    let varB = 0;
+    for (let i = 0; i < n; i++) {
+        cov += (a[i] - meanA) * (b[i] - meanB);
+        varA += (a[i] - meanA) ** 2;
+        varB += (b[i] - meanB) ** 2;
+    }
+    if (varA === 0 || varB === 0) {
+        return 0;
+    }
+    return cov / Math.sqrt(varA * varB);
+}
+
+/**
+ * Returns the spelling of a tonic that leads to the fewest accidentals in
+ * the resulting scale, e.g. Eb instead of D# for major
+ * @param {number} pitchClass pitch class in [0, 11]
+ * @param {string} scaleType tonal scale type
+ * @returns {string} tonic note name
+ */
+function getTonicName(pitchClass, scaleType) {
+    const cacheKey = `${pitchClass} ${scaleType}`;
+    if (!tonicNameCache.has(cacheKey)) {
+        const countAccidentals = tonic => Scale.get(`${tonic} ${scaleType}`).notes
+            .reduce((sum, n) => sum + n.length - 1, 0);
+        const candidates = PITCH_CLASS_SPELLINGS[pitchClass];
+        const name = candidates.reduce((best, d) => countAccidentals(d) < countAccidentals(best) ? d : best);
+        tonicNameCache.set(cacheKey, name);
+    }
+    return tonicNameCache.get(cacheKey);
+}
+
+/**
+ * Creates a key object, as used by the harmony analysis functions
+ * @param {string} tonic tonic note name, e.g. 'Eb'
+ * @param {string} type tonal scale type, e.g. 'major' or 'dorian'
+ * @returns {Object} key {tonic, type, name, pitchClasses}
+ */
+export function getKey(tonic, type) {
+    const scale = Scale.get(`${tonic} ${type}`);
+    return {
+        tonic,
+        type,
+        name: `${tonic} ${type}`,
+        pitchClasses: new Set(scale.notes.map(TonalNote.chroma))
+    };
+}
+
+/**
+ * Returns all keys of the given scale types, e.g. for a key selection list
+ * @param {string[]} scaleTypes tonal scale types
+ * @returns {Object[]} keys {tonic, type, name, pitchClasses}
+ */
+export function getAllKeys(scaleTypes = MAJOR_MINOR_SCALES) {
+    const keys = [];
+    for (let type of scaleTypes) {
+        for (let pc = 0; pc < 12; pc++) {
+            keys.push(getKey(getTonicName(pc, type), type));
+        }
+    }
+    return keys;
+}
+
+/**
+ * Ranks all keys by how well their profile matches a pitch class histogram.
+ * @param {number[]} histogram pitch class histogram
+ * @param {string[]} scaleTypes tonal scale types to consider
+ * @returns {Object[]} keys {tonic, type, name, pitchClasses, score} sorted by
+ *      descending score, empty if the histogram is empty
+ */
+export function rankKeys(histogram, scaleTypes = MAJOR_MINOR_SCALES) {
+    if (histogram.every(d => d === 0)) {
+        return [];
+    }
+    const keys = [];
+    for (let type of scaleTypes) {
+        const profile = getProfile(type);
+        for (let pc = 0; pc < 12; pc++) {
+            const rotated = histogram.map((_, i) => profile[(i - pc + 12) % 12]);
+            keys.push({
+                ...getKey(getTonicName(pc, type), type),
+                score: correlation(histogram, rotated)
+            });
+        }
+    }
+    return keys.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Estimates the key of the notes played within the last windowSize seconds.
+ * The confidence is the correlation of the best key clipped to [0, 1].
+ * @param {Note[]} notes notes, e.g. the recorded MIDI live data
+ * @param {number} currentTime current time in seconds
+ * @param {number} windowSize size of the sliding time window in seconds
+ * @param {string[]} scaleTypes tonal scale types to consider
+ * @returns {Object|null} best key {tonic, type, name, pitchClasses, score,
+ *      confidence} or null if there are no notes in the window
+ */
+export function estimateKey(notes, currentTime, windowSize = 30, scaleTypes = MAJOR_MINOR_SCALES) {
+    const histogram = getPitchClassHistogram(notes, currentTime - windowSize, currentTime);
+    const ranked = rankKeys(histogram, scaleTypes);
+    if (ranked.length === 0) {
+        return null;
+    }
+    const best = ranked[0];
+    return { ...best, confidence: Math.max(0, best.score) };
+}
@@ -0,0 +1,172 @@
+import { Interval, Key, Note as TonalNote, RomanNumeral, Scale } from '@tonaljs/tonal';
+import { parseChordSymbol, getChordPitchClasses } from './ChordUtils';
+
+const FUNCTION_NAMES = {
+    T: 'tonic',
+    SD: 'subdominant',
+    D: 'dominant'
+};
+
+/**
+ * Harmonic functions of the scale degrees, used for keys that tonal's Key
+ * module does not cover (modes)
+ */
+const DEGREE_FUNCTIONS = ['T', 'SD', 'T', 'SD', 'D', 'T', 'D'];
+
+/**
+ * Scale types from which chords can be borrowed
+ */
+const PARALLEL_SCALES = ['major', 'minor', 'harmonic minor', 'melodic minor', 'dorian', 'phrygian', 'lydian', 'mixolydian'];
+
+/**
+ * Returns the diatonic scales of a key together with the harmonic function
+ * of each degree. Minor keys have three scales (natural, harmonic, melodic).
+ * @param {Object} key key {tonic, type}
+ * @returns {Object[]} scales {notes, functions}
+ */
+function getDiatonicScales(key) {
+    const { tonic, type } = key;
+    if (type === 'major') {
+        const k = Key.majorKey(tonic);
+        return [{ notes: k.scale, functions: k.chordsHarmonicFunction }];
+    }
+    if (type === 'minor') {
+        const k = Key.minorKey(tonic);
+        return [k.natural, k.harmonic, k.melodic].map(d => ({
+            notes: d.scale,
+            functions: d.chordsHarmonicFunction
+        }));
+    }
+    return [{ notes: Scale.get(`${tonic} ${type}`).notes, functions: DEGREE_FUNCTIONS }];
+}
+
+/**
+ * Returns true if all pitch classes are contained in the scale
+ * @param {Set<number>} pitchClasses pitch classes
+ * @param {string[]} scaleNotes note names of the scale
+ * @returns {boolean} true if contained
+ */
+function isInScale(pitchClasses, scaleNotes) {
+    const scalePcs = new Set(scaleNotes.map(TonalNote.chroma));
+    return [...pitchClasses].every(pc => scalePcs.has(pc));
+}
+
+/**
+ * Returns the quality of the triad that is built on a scale degree
+ * @param {string[]} scaleNotes note names of a heptatonic scale
+ * @param {number} step scale degree, starting at 0
+ * @returns {string} 'Major', 'Minor', 'Diminished' or 'Augmented'
+ */
+function getDiatonicTriadQuality(scaleNotes, step) {
+    const pcs = [0, 2, 4].map(d => TonalNote.chroma(scaleNotes[(step + d) % scaleNotes.length]));
+    const third = (pcs[1] - pcs[0] + 12) % 12;
+    const fifth = (pcs[2] - pcs[0] + 12) % 12;
+    if (third === 4) {
+        return fifth === 8 ? 'Augmented' : 'Major';
+    }
+    return fifth === 6 ? 'Diminished' : 'Minor';
+}
+
+/**
+ * Formats a Roman numeral, with upper case for major and lower case for
+ * minor chords and the chord type as suffix, e.g. 'bVImaj7', 'ii7', 'viiø7'
+ * @param {string} degree Roman numeral with accidental, e.g. 'bVI'
+ * @param {string} quality tonal chord quality
+ * @param {string} alias short chord type name, e.g. 'm7'
+ * @returns {string} Roman numeral
+ */
+function formatNumeral(degree, quality, alias) {
+    const lower = quality === 'Minor' || quality === 'Diminished';
+    const numeral = lower ? degree.toLowerCase() : degree;
+    let suffix = alias;
+    if (alias === 'M' || alias === 'm') {
+        suffix = '';
+    } else if (alias === 'm7b5') {
+        suffix = 'ø7';
+    } else if (alias.startsWith('dim')) {
+        suffix = alias.replace('dim', '°');
+    } else if (alias === 'aug') {
+        suffix = '+';
+    } else if (quality === 'Minor' && alias.startsWith('m')) {
+        suffix = alias.slice(1);
+    }
+    return `${numeral}${suffix}`;
+}
+
+/**
+ * Returns the Roman numeral degree (without chord type) of a note in a key
+ * @param {string} tonic key tonic
+ * @param {string} note chord root
+ * @returns {Object} tonal Roman numeral object with name and step
+ */
+function getDegree(tonic, note) {
+    const interval = Interval.simplify(Interval.distance(tonic, note));
+    return RomanNumeral.get(Interval.get(interval));
+}
+
+/**
+ * Analyzes a chord in a key and returns its Roman numeral and harmonic
+ * function. Slash chords are analyzed by their root.
+ * @param {string} symbol chord symbol, e.g. 'G7' or 'Am7/C'
+ * @param {Object} key key {tonic, type}
+ * @returns {Object|null} {numeral, function, description} or null if the
+ *      chord cannot be parsed
+ */
+export function analyzeChord(symbol, key) {
+    const { chord } = parseChordSymbol(symbol);
+    if (chord.empty || !chord.tonic) {
+        return null;
+    }
+    const pitchClasses = getChordPitchClasses(chord);
+    const degree = getDegree(key.tonic, chord.tonic);
+    if (degree.empty) {
+        return null;
+    }
+    const numeral = formatNumeral(degree.name, chord.quality, chord.aliases[0]);
+    // Diatonic chords
+    for (let scale of getDiatonicScales(key)) {
+        const step = scale.notes.findIndex(d => TonalNote.chroma(d) === TonalNote.chroma(chord.tonic));
+        if (step !== -1 && isInScale(pitchClasses, scale.notes)) {
+            const func = FUNCTION_NAMES[scale.functions[step]];
+            return { numeral, function: func, description: func };
+        }
+    }
+    // Secondary dominants: major or dominant chords resolving to a major or
+    // minor diatonic triad other than the tonic, a major tonic triad is
+    // rather treated as borrowed chord
+    const isDominant = chord.quality === 'Major' && (
+        chord.type.startsWith('dominant') || (chord.type === 'major' && degree.step !== 0)
+    );
+    if (isDominant) {
+        const target = TonalNote.transpose(chord.tonic, '-5P');
+        const [scale] = getDiatonicScales(key);
+        const step = scale.notes.findIndex(d => TonalNote.chroma(d) === TonalNote.chroma(target));
+        if (step > 0) {
+            const quality = getDiatonicTriadQuality(scale.notes, step);
+            if (quality === 'Major' || quality === 'Minor') {
+                const targetNumeral = formatNumeral(getDegree(key.tonic, scale.notes[step]).name, quality, '');
+                const dominantNumeral = formatNumeral('V', chord.quality, chord.aliases[0]);
+                return {
+                    numeral: `${dominantNumeral}/${targetNumeral}`,
+                    function: 'secondary dominant',
+                    description: `secondary dominant of ${targetNumeral}`
+                };
+            }
+        }
+    }
+    // Borrowed chords from parallel keys
+    for (let type of PARALLEL_SCALES) {
+        if (type === key.type) {
+            continue;
+        }
+        const scaleNotes = Scale.get(`${key.tonic} ${type}`).notes;
+        if (isInScale(pitchClasses, scaleNotes)) {
+            return {
+                numeral,
+                function: 'borrowed',
+                description: `borrowed from ${key.tonic} ${type}`
+            };
+        }
+    }
+    return { numeral, function: 'chromatic', description: 'chromatic' };
+}
@@ -0,0 +1,125 @@
+import { Note as TonalNote, Scale, ScaleType } from '@tonaljs/tonal';
+import { getFormulaDegree } from './ChordLookup';
+
+/**
+ * Roots that can be selected, spelled with the fewest accidentals
+ */
+export const SCALE_ROOTS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * Common scales grouped for the scale selection, all other scales known to
+ * tonal are listed afterwards
+ */
+const COMMON_SCALE_GROUPS = [
+    {
+        name: 'Major modes',
+        scales: ['major', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'aeolian', 'locrian']
+    },
+    {
+        name: 'Minor',
+        scales: ['harmonic minor', 'melodic minor', 'altered', 'lydian dominant', 'phrygian dominant', 'harmonic major']
+    },
+    {
+        name: 'Pentatonic and blues',
+        scales: ['major pentatonic', 'minor pentatonic', 'major blues', 'minor blues']
+    },
+    {
+        name: 'Bebop',
+        scales: ['bebop', 'bebop major', 'bebop minor', 'bebop locrian']
+    },
+    {
+        name: 'Symmetric',
+        scales: ['whole tone', 'diminished', 'half-whole diminished', 'augmented', 'chromatic']
+    }
+];
+
+/**
+ * Returns all scale types known to tonal, grouped for a selection list
+ * @returns {Object[]} groups {name, scales}, scales are tonal scale types
+ */
+export function getScaleGroups() {
+    const common = new Set(COMMON_SCALE_GROUPS.flatMap(d => d.scales));
+    const other = ScaleType.all()
+        .map(d => d.name)
+        .filter(d => !common.has(d))
+        .sort();
+    return [...COMMON_SCALE_GROUPS, { name: 'Other', scales: other }];
+}
+
+/**
+ * Returns the data needed to show a scale on the keyboard
+ * @param {string} root root note name, e.g. 'Eb'
+ * @param {string} type tonal scale type, e.g. 'dorian'
+ * @returns {Object|null} {root, type, name, notes, rootPitchClass,
+ *      pitchClasses, degrees} where degrees maps each pitch class to its
+ *      scale degree, e.g. 'b3', or null if the scale is unknown
+ */
+export function getScaleOverlay(root, type) {
+    const scale = Scale.get(`${root} ${type}`);
+    if (scale.empty) {
+        return null;
+    }
+    const degrees = new Map();
+    scale.notes.forEach((note, i) => {
+        degrees.set(TonalNote.chroma(note), getFormulaDegree(scale.intervals[i]));
+    });
+    return {
+        root,
+        type,
+        name: scale.name,
+        notes: scale.notes,
+        rootPitchClass: TonalNote.chroma(root),
+        pitchClasses: new Set(degrees.keys()),
+        degrees
+    };
+}
+
+/**
+ * Finds all scales that contain all given pitch classes.
+ * Common scales come first, scales with the bass as root are preferred, then
+ * smaller scales since they describe the notes more specifically.
+ * The chromatic scale is left out since it contains everything.
+ * @param {Set<number>} pitchClasses pitch classes, e.g. of the held notes
+ * @param {number|null} bassPitchClass pitch class of the lowest note
+ * @returns {Object[]} scales {root, type, name}
+ */
+export function findScalesContaining(pitchClasses, bassPitchClass = null) {
+    if (pitchClasses.size === 0) {
+        return [];
+    }
+    const groups = getScaleGroups();
+    const matches = [];
+    groups.forEach((group, groupIndex) => {
+        for (let type of group.scales) {
+            if (type === 'chromatic') {
+                continue;
+            }
+            const { chroma, intervals } = ScaleType.get(type);
+            for (let rootPitchClass = 0; rootPitchClass < 12; rootPitchClass++) {
+                let containsAll = true;
+                for (let pc of pitchClasses) {
+                    if (chroma[(pc - rootPitchClass + 12) % 12] !== '1') {
+                        containsAll = false;
+                        break;
+                    }
+                }
+                if (containsAll) {
+                    const root = SCALE_ROOTS[rootPitchClass];
+                    matches.push({
+                        root,
+                        type,
+                        name: `${root} ${type}`,
+                        isCommon: groupIndex < groups.length - 1,
+                        isOnBass: rootPitchClass === bassPitchClass,
+                        groupIndex,
+                        size: intervals.length
+                    });
+                }
+            }
+        }
+    });
+    return matches
+        .sort((a, b) => (b.isCommon - a.isCommon) || (b.isOnBass - a.isOnBass)
+            || (a.groupIndex - b.groupIndex) || (a.size - b.size))
+        .map(({ root, type, name }) => ({ root, type, name }));
+}
@@ -0,0 +1,198 @@
+/**
+ * Names of the voices in four-part writing, lowest first
+ */
+const SATB_NAMES = ['bass', 'tenor', 'alto', 'soprano'];
+
+/**
+ * Returns the default voice-leading rules, as used in part-writing
+ * exercises
+ * @returns {Object} rules {parallelFifths, parallelOctaves, voiceOverlap,
+ *      maxLeap, maxSpacing}, maxLeap and maxSpacing are in semitones or null
+ *      to not check them
+ */
+export function getDefaultVoiceLeadingRules() {
+    return {
+        parallelFifths: true,
+        parallelOctaves: true,
+        voiceOverlap: true,
+        // Larger leaps than an octave are avoided
+        maxLeap: 12,
+        // Upper voices are at most an octave apart
+        maxSpacing: 12
+    };
+}
+
+/**
+ * Returns a readable name for a voice
+ * @param {number} index voice index, 0 is the lowest
+ * @param {number} count number of voices
+ * @returns {string} name
+ */
+export function getVoiceName(index, count) {
+    if (count === 4) {
+        return SATB_NAMES[index];
+    }
+    if (index === 0) {
+        return 'bass';
+    }
+    if (index === count - 1) {
+        return 'top voice';
+    }
+    return `voice ${index + 1}`;
+}
+
+/**
+ * Matches the voices of two chords. Voices keep their order, so the lowest
+ * note moves to the lowest note and so on. If the chords have different
+ * sizes, the voices of the smaller chord are matched to those of the larger
+ * one with the least total movement, the others start or end.
+ * @param {number[]} fromPitches MIDI pitches of the first chord
+ * @param {number[]} toPitches MIDI pitches of the second chord
+ * @returns {Object[]} motions {from, to}, from is null for voices that start,
+ *      to is null for voices that end, lowest voice first
+ */
+export function matchVoices(fromPitches, toPitches) {
+    const from = [...fromPitches].sort((a, b) => a - b);
+    const to = [...toPitches].sort((a, b) => a - b);
+    if (from.length === to.length) {
+        return from.map((d, i) => ({ from: d, to: to[i] }));
+    }
+    const fromIsSmaller = from.length < to.length;
+    const small = fromIsSmaller ? from : to;
+    const large = fromIsSmaller ? to : from;
+    // cost[i][j]: least movement to match the first i voices of the small
+    // chord to the first j voices of the large one
+    const cost = [];
+    for (let i = 0; i <= small.length; i++) {
+        cost.push(new Array(large.length + 1).fill(Infinity));
+    }
+    cost[0].fill(0);
+    for (let i = 1; i <= small.length; i++) {
+        for (let j = i; j <= large.length; j++) {
+            cost[i][j] = Math.min(
+                cost[i][j - 1],
+                cost[i - 1][j - 1] + Math.abs(small[i - 1] - large[j - 1])
+            );
+        }
+    }
+    // Trace back which voices were matched
+    const matched = new Array(large.length).fill(null);
+    let i = small.length;
+    for (let j = large.length; j > 0 && i > 0; j--) {
+        if (cost[i][j] !== cost[i][j - 1]) {
+            matched[j - 1] = small[i - 1];
+            i--;
+        }
+    }
+    return large.map((d, j) => fromIsSmaller
+        ? { from: matched[j], to: d }
+        : { from: d, to: matched[j] });
+}
+
+/**
+ * Analyzes the voice leading between two chords and checks it against the
+ * given rules
+ * @param {number[]} fromPitches MIDI pitches of the first chord
+ * @param {number[]} toPitches MIDI pitches of the second chord
+ * @param {Object} rules rules, see getDefaultVoiceLeadingRules
+ * @returns {Object} {motions, displacement, violations}, displacement is the
+ *      total movement in semitones, violations are {rule, message, voices}
+ *      with the indices of the involved motions
+ */
+export function analyzeVoiceLeading(fromPitches, toPitches, rules = getDefaultVoiceLeadingRules()) {
+    const motions = matchVoices(fromPitches, toPitches);
+    const count = motions.length;
+    const name = i => getVoiceName(i, count);
+    const violations = [];
+    const isComplete = d => d.from !== null && d.to !== null;
+    const displacement = motions
+        .filter(isComplete)
+        .reduce((sum, d) => sum + Math.abs(d.to - d.from), 0);
+    // Parallel fifths and octaves between any two voices
+    for (let i = 0; i < count; i++) {
+        for (let j = i + 1; j < count; j++) {
+            const a = motions[i];
+            const b = motions[j];
+            if (!isComplete(a) || !isComplete(b) || a.from === a.to
+                || Math.sign(a.to - a.from) !== Math.sign(b.to - b.from)) {
+                continue;
+            }
+            const before = (b.from - a.from) % 12;
+            const after = (b.to - a.to) % 12;
+            if (before === 7 && after === 7 && rules.parallelFifths) {
+                violations.push({
+                    rule: 'parallelFifths',
+                    message: `Parallel fifths between ${name(i)} and ${name(j)}`,
+                    voices: [i, j]
+                });
+            } else if (before === 0 && after === 0 && rules.parallelOctaves) {
+                violations.push({
+                    rule: 'parallelOctaves',
+                    message: `Parallel octaves between ${name(i)} and ${name(j)}`,
+                    voices: [i, j]
+                });
+            }
+        }
+    }
+    // A voice must not move past where its neighbor was before
+    if (rules.voiceOverlap) {
+        for (let i = 0; i < count - 1; i++) {
+            const lower = motions[i];
+            const upper = motions[i + 1];
+            if (isComplete(lower) && isComplete(upper) && (lower.to > upper.from || upper.to < lower.from)) {
+                violations.push({
+                    rule: 'voiceOverlap',
+                    message: `Overlap between ${name(i)} and ${name(i + 1)}`,
+                    voices: [i, i + 1]
+                });
+            }
+        }
+    }
+    if (rules.maxLeap !== null) {
+        motions.forEach((d, i) => {
+            if (isComplete(d) && Math.abs(d.to - d.from) > rules.maxLeap) {
+                violations.push({
+                    rule: 'maxLeap',
+                    message: `Leap of ${Math.abs(d.to - d.from)} semitones in ${name(i)}`,
+                    voices: [i]
+                });
+            }
+        });
+    }
+    // Only the upper voices, the bass may be further away
+    if (rules.maxSpacing !== null) {
+        for (let i = 1; i < count - 1; i++) {
+            const lower = motions[i].to;
+            const upper = motions[i + 1].to;
+            if (lower !== null && upper !== null && upper - lower > rules.maxSpacing) {
+                violations.push({
+                    rule: 'maxSpacing',
+                    message: `Spacing of ${upper - lower} semitones between ${name(i)} and ${name(i + 1)}`,
+                    voices: [i, i + 1]
+                });
+            }
+        }
+    }
+    return { motions, displacement, violations };
+}
+
+/**
+ * Analyzes the voice leading between each two consecutive chord events
+ * @param {Object[]} entries chord history entries {time, chords, notes}
+ * @param {Object} rules rules, see getDefaultVoiceLeadingRules
+ * @returns {Object[]} transitions {from, to, motions, displacement,
+ *      violations}, from and to are the entries
+ */
+export function analyzeProgression(entries, rules = getDefaultVoiceLeadingRules()) {
+    const transitions = [];
+    for (let i = 1; i < entries.length; i++) {
+        const from = entries[i - 1];
+        const to = entries[i];
+        transitions.push({
+            from,
+            to,
+            ...analyzeVoiceLeading(from.notes.map(d => d.pitch), to.notes.map(d => d.pitch), rules)
+        });
+    }
+    return transitions;
+}
@@ -0,0 +1,145 @@
+import { Interval, Note as TonalNote } from '@tonaljs/tonal';
+import { Midi } from 'musicvis-lib';
+import { parseChordSymbol } from './ChordUtils';
+
+/**
+ * Role names of pitch classes relative to the root, used for notes that are
+ * not part of the detected chord
+ */
+const DEFAULT_ROLES = ['R', 'b9', '9', 'b3', '3', '11', '#11', '5', 'b13', '13', 'b7', '7'];
+
+const INVERSION_NAMES = new Map([
+    ['R', 'root position'],
+    ['3', '1st inversion'],
+    ['5', '2nd inversion'],
+    ['7', '3rd inversion']
+]);
+
+/**
+ * Returns the chord-tone role of an interval, e.g. 'R', 'b3', '#11'
+ * @param {string} interval tonal interval name, e.g. '3m'
+ * @returns {string} role
+ */
+export function getIntervalRole(interval) {
+    const { num, q, type } = Interval.get(interval);
+    if (num === 1) {
+        return 'R';
+    }
+    let accidental = '';
+    if (type === 'perfectable') {
+        accidental = q === 'd' ? 'b' : q === 'A' ? '#' : '';
+    } else {
+        accidental = q === 'm' ? 'b' : q === 'd' ? 'bb' : q === 'A' ? '#' : '';
+    }
+    return `${accidental}${num}`;
+}
+
+/**
+ * Returns the chord-tone roles of pitches in a chord
+ * @param {number[]} pitches MIDI pitches
+ * @param {Object} chord tonal chord object
+ * @returns {Map<number,string>} role for each pitch
+ */
+export function getChordToneRoles(pitches, chord) {
+    const rootPc = TonalNote.chroma(chord.tonic);
+    // Chord tones by pitch class relative to the root
+    const rolesByOffset = new Map();
+    for (let interval of chord.intervals) {
+        const offset = ((Interval.semitones(interval) % 12) + 12) % 12;
+        rolesByOffset.set(offset, getIntervalRole(interval));
+    }
+    const roles = new Map();
+    for (let pitch of pitches) {
+        const offset = (pitch - rootPc + 120) % 12;
+        roles.set(pitch, rolesByOffset.get(offset) ?? DEFAULT_ROLES[offset]);
+    }
+    return roles;
+}
+
+/**
+ * Returns true if the pitches span less than an octave
+ * @param {number[]} pitches sorted MIDI pitches
+ * @returns {boolean} true for close voicings
+ */
+function isClose(pitches) {
+    return pitches[pitches.length - 1] - pitches[0] < 12;
+}
+
+/**
+ * Checks whether a voicing is a drop voicing, i.e. a close voicing where the
+ * n-th voice from the top was moved down an octave
+ * @param {number[]} pitches sorted MIDI pitches
+ * @param {number} n voice index from the top, starting at 1
+ * @returns {boolean} true if the voicing is a drop-n voicing
+ */
+function isDropVoicing(pitches, n) {
+    if (pitches.length < 4 || isClose(pitches)) {
+        return false;
+    }
+    // Raise the bass an octave and check if the result is close, with the
+    // raised voice in the n-th position from the top
+    const raised = pitches[0] + 12;
+    const closed = [...pitches.slice(1), raised].sort((a, b) => a - b);
+    return isClose(closed) && closed.length - closed.indexOf(raised) === n;
+}
+
+/**
+ * Classifies a voicing
+ * @param {number[]} pitches sorted MIDI pitches
+ * @param {Set<string>} roles chord-tone roles that are present
+ * @returns {string} 'rootless', 'shell', 'close', 'drop-2', 'drop-3' or
+ *      'open'
+ */
+export function classifyVoicing(pitches, roles) {
+    const hasThird = roles.has('3') || roles.has('b3');
+    const hasSeventh = roles.has('7') || roles.has('b7') || roles.has('bb7');
+    if (!roles.has('R') && hasThird && hasSeventh) {
+        return 'rootless';
+    }
+    if (roles.size === 3 && roles.has('R') && hasThird && hasSeventh) {
+        return 'shell';
+    }
+    if (isClose(pitches)) {
+        return 'close';
+    }
+    if (isDropVoicing(pitches, 2)) {
+        return 'drop-2';
+    }
+    if (isDropVoicing(pitches, 3)) {
+        return 'drop-3';
+    }
+    return 'open';
+}
+
+/**
+ * Analyzes how a chord is voiced by the played notes
+ * @param {Note[]} notes played notes, sorted by pitch
+ * @param {string} symbol detected chord symbol, e.g. 'Am7/C'
+ * @returns {Object|null} {symbol, slashChord, bass, inversion, roles,
+ *      voicing} or null if there are no notes or the chord is unknown
+ */
+export function analyzeVoicing(notes, symbol) {
+    if (notes.length === 0 || !symbol) {
+        return null;
+    }
+    const { chord } = parseChordSymbol(symbol);
+    if (chord.empty || !chord.tonic) {
+        return null;
+    }
+    const pitches = notes.map(d => d.pitch);
+    const roles = getChordToneRoles(pitches, chord);
+    const bass = notes[0];
+    const bassName = Midi.getMidiNoteByNr(bass.pitch).name;
+    const bassRole = roles.get(bass.pitch);
+    const baseSymbol = chord.symbol;
+    const isRootInBass = bassRole === 'R';
+    const inversion = INVERSION_NAMES.get(bassRole.replace(/^b+|^#/, '')) ?? `${bassRole} in bass`;
+    return {
+        symbol: baseSymbol,
+        slashChord: isRootInBass ? baseSymbol : `${baseSymbol}/${bassName}`,
+        bass: bass.getName(),
+        inversion,
+        roles,
+        voicing: classifyVoicing([...new Set(pitches)], new Set(roles.values()))
+    };
+}
@@ -0,0 +1,39 @@
+const CONTROL_CHANGE = 176;
+
+/**
+ * Controller numbers of pedals, values >= 64 mean the pedal is pressed
+ */
+export const SUSTAIN_PEDAL = 64;
+export const SOSTENUTO_PEDAL = 66;
+
+/**
+ * Handles control change (CC) messages, e.g. for pedals. MidiNoteInput only
+ * handles note messages, so this listener is added to the MidiDeviceManager
+ * in addition to it.
+ */
+export default class MidiControlChangeListener {
+
+    /**
+     * @param {Function} onControlChange called with (controller, value,
+     *      channel, device) for each control change message
+     */
+    constructor(onControlChange) {
+        this._onControlChange = onControlChange;
+    }
+
+    /**
+     * Handles a MIDI message, use as MidiDeviceManager listener
+     * @param {MIDIMessageEvent} message MIDI message
+     */
+    handleMessage = (message) => {
+        if (message.data.length < 3) {
+            return;
+        }
+        const [commandAndChannel, controller, value] = message.data;
+        const channel = commandAndChannel % 16;
+        const command = commandAndChannel - channel;
+        if (command === CONTROL_CHANGE) {
+            this._onControlChange(controller, value, channel, message.target.name);
+        }
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * Minimum time in milliseconds between two activity reports of an input
+ */
+const ACTIVITY_THROTTLE = 100;
+
+/**
+ * Requests MIDI access, keeps a list of the connected input devices and
+ * forwards messages of enabled inputs and channels to its listeners.
+ * Also provides the output ports.
+ * Inputs and channels can be disabled, e.g. to ignore a drum pad or a
+ * second controller.
+ */
+export default class MidiDeviceManager {
+
+    /**
+     * @param {Function} onDevicesChange called with (inputs, error), see
+     *      getDevices, whenever a device is connected or disconnected, a
+     *      setting changes or an input received a message
+     */
+    constructor(onDevicesChange = () => { }) {
+        this._onDevicesChange = onDevicesChange;
+        this._midiAccess = null;
+        this._listeners = [];
+        this._disabledInputs = new Set();
+        // Disabled channels by input id
+        this._disabledChannels = new Map();
+        // Time of the last reported message by input id
+        this._lastActivity = new Map();
+        this.error = null;
+        navigator.requestMIDIAccess().then(this._onMIDISuccess, this._onMIDIFailure);
+    }
+
+    /**
+     * Adds a listener for messages of enabled inputs and channels
+     * @param {Function} listener called with each MIDIMessageEvent
+     */
+    addListener(listener) {
+        this._listeners.push(listener);
+    }
+
+    /**
+     * Returns the connected inputs and their settings
+     * @returns {Object[]} inputs {id, name, manufacturer, enabled, channels,
+     *      lastActivity}, where channels contains whether each of the 16
+     *      channels is enabled and lastActivity is the time in ms of the last
+     *      message or null
+     */
+    getDevices() {
+        if (!this._midiAccess) {
+            return [];
+        }
+        return [...this._midiAccess.inputs.values()]
+            .filter(d => d.state === 'connected')
+            .map(d => {
+                const disabledChannels = this._disabledChannels.get(d.id) || new Set();
+                return {
+                    id: d.id,
+                    name: d.name,
+                    manufacturer: d.manufacturer,
+                    enabled: !this._disabledInputs.has(d.id),
+                    channels: new Array(16).fill(0).map((_, channel) => !disabledChannels.has(channel)),
+                    lastActivity: this._lastActivity.get(d.id) || null
+                };
+            });
+    }
+
+    /**
+     * Returns the connected outputs
+     * @returns {Object[]} outputs {id, name, manufacturer}
+     */
+    getOutputs() {
+        if (!this._midiAccess) {
+            return [];
+        }
+        return [...this._midiAccess.outputs.values()]
+            .filter(d => d.state === 'connected')
+            .map(({ id, name, manufacturer }) => ({ id, name, manufacturer }));
+    }
+
+    /**
+     * @param {string} outputId output id
+     * @returns {MIDIOutput|null} output port or null if not connected
+     */
+    getOutputPort(outputId) {
+        const port = this._midiAccess ? this._midiAccess.outputs.get(outputId) : null;
+        return port && port.state === 'connected' ? port : null;
+    }
+
+    /**
+     * @param {string} inputId input id
+     * @param {boolean} enabled whether messages of this input are used
+     */
+    setInputEnabled(inputId, enabled) {
+        if (enabled) {
+            this._disabledInputs.delete(inputId);
+        } else {
+            this._disabledInputs.add(inputId);
+        }
+        this._notify();
+    }
+
+    /**
+     * @param {string} inputId input id
+     * @param {number} channel channel in [0, 15]
+     * @param {boolean} enabled whether messages on this channel are used
+     */
+    setChannelEnabled(inputId, channel, enabled) {
+        const disabledChannels = new Set(this._disabledChannels.get(inputId));
+        if (enabled) {
+            disabledChannels.delete(channel);
+        } else {
+            disabledChannels.add(channel);
+        }
+        this._disabledChannels.set(inputId, disabledChannels);
+        this._notify();
+    }
+
+    /**
+     * @param {string} inputId input id
+     * @param {number} channel channel in [0, 15]
+     * @returns {boolean} true if messages of this input and channel are used
+     */
+    isEnabled(inputId, channel) {
+        if (this._disabledInputs.has(inputId)) {
+            return false;
+        }
+        const disabledChannels = this._disabledChannels.get(inputId);
+        return !disabledChannels || !disabledChannels.has(channel);
+    }
+
+    _notify() {
+        this._onDevicesChange(this.getDevices(), this.error);
+    }
+
+    /**
+     * Handles a successful MIDI access request
+     * @param {MIDIAccess} midiAccess MIDI access
+     */
+    _onMIDISuccess = (midiAccess) => {
+        this._midiAccess = midiAccess;
+        for (let input of midiAccess.inputs.values()) {
+            input.addEventListener('midimessage', this._handleMIDIMessage);
+        }
+        midiAccess.addEventListener('statechange', this._onStateChange);
+        this._notify();
+    }
+
+    /**
+     * Handles MIDI access errors
+     * @param {*} error error
+     */
+    _onMIDIFailure = (error) => {
+        console.error('[MidiDevices] Cannot access MIDI devices.', error);
+        this.error = 'Cannot access MIDI devices';
+        this._notify();
+    }
+
+    /**
+     * Listens to newly connected inputs
+     * @param {MIDIConnectionEvent} event event
+     */
+    _onStateChange = (event) => {
+        const { port } = event;
+        if (port.type === 'input' && port.state === 'connected') {
+            // Adding the same listener twice has no effect
+            port.addEventListener('midimessage', this._handleMIDIMessage);
+        }
+        this._notify();
+    }
+
+    /**
+     * Forwards messages of enabled inputs and channels to the listeners
+     * @param {MIDIMessageEvent} message MIDI message
+     */
+    _handleMIDIMessage = (message) => {
+        const inputId = message.target.id;
+        const status = message.data[0];
+        // System messages (e.g. clock) have no channel
+        if (status >= 0xF0) {
+            return;
+        }
+        if (!this.isEnabled(inputId, status % 16)) {
+            return;
+        }
+        for (let listener of this._listeners) {
+            listener(message);
+        }
+        const now = performance.now();
+        if (now - (this._lastActivity.get(inputId) || 0) > ACTIVITY_THROTTLE) {
+            this._lastActivity.set(inputId, now);
+            this._notify();
+        }
+    }
+}
@@ -0,0 +1,85 @@
+import { Note } from 'musicvis-lib';
+
+const NOTE_OFF = 128;
+const NOTE_ON = 144;
+
+/**
+ * Creates notes from MIDI note messages, like MidiInputManager, but gets its
+ * messages from MidiDeviceManager, so only enabled inputs and channels are
+ * used.
+ * Held notes are tracked per input and channel, so they can be released when
+ * an input or channel is disabled while keys are pressed.
+ */
+export default class MidiNoteInput {
+
+    /**
+     * Constructor with callback functions, see MidiInputManager
+     * @param {Function} getMidiLiveData returns the recorded notes
+     * @param {Function} setMidiLiveData updates the recorded notes
+     * @param {Function} addCurrentNote adds a currently played note
+     * @param {Function} removeCurrentNote removes a currently played note
+     */
+    constructor(getMidiLiveData, setMidiLiveData, addCurrentNote, removeCurrentNote) {
+        this._getMidiLiveData = getMidiLiveData;
+        this._setMidiLiveData = setMidiLiveData;
+        this._addCurrentNote = addCurrentNote;
+        this._removeCurrentNote = removeCurrentNote;
+        // Held notes by '<input id>-<channel>-<pitch>'
+        this._heldNotes = new Map();
+    }
+
+    /**
+     * Handles a MIDI message, use as MidiDeviceManager listener
+     * @param {MIDIMessageEvent} message MIDI message
+     */
+    handleMessage = (message) => {
+        const [commandAndChannel, pitch, velocity = 0] = message.data;
+        const channel = commandAndChannel % 16;
+        const command = commandAndChannel - channel;
+        const inputId = message.target.id;
+        const time = message.timeStamp / 1000;
+        if (command === NOTE_ON && velocity > 0) {
+            this._noteOn(inputId, time, pitch, channel, velocity);
+        } else if (command === NOTE_OFF || command === NOTE_ON) {
+            // Note-on with velocity 0 is a note-off
+            this._noteOff(inputId, time, pitch, channel);
+        }
+    }
+
+    /**
+     * Releases all held notes of an input, e.g. when it is disabled
+     * @param {string} inputId input id
+     * @param {number} [channel] only release notes on this channel
+     */
+    releaseNotes(inputId, channel) {
+        const time = performance.now() / 1000;
+        for (let note of [...this._heldNotes.values()]) {
+            if (note.inputId === inputId && (channel === undefined || note.channel === channel)) {
+                this._noteOff(inputId, time, note.pitch, note.channel);
+            }
+        }
+    }
+
+    _noteOn(inputId, time, pitch, channel, velocity) {
+        const note = new Note(pitch, time, velocity, channel);
+        this._heldNotes.set(`${inputId}-${channel}-${pitch}`, { inputId, channel, pitch, note });
+        this._addCurrentNote(note);
+        this._setMidiLiveData(this._getMidiLiveData().concat([note]));
+    }
+
+    _noteOff(inputId, time, pitch, channel) {
+        const key = `${inputId}-${channel}-${pitch}`;
+        const held = this._heldNotes.get(key);
+        if (!held) {
+            return;
+        }
+        this._heldNotes.delete(key);
+        held.note.end = time;
+        this._setMidiLiveData([...this._getMidiLiveData()]);
+        // Another input or channel might still hold this pitch
+        const isStillHeld = [...this._heldNotes.values()].some(d => d.pitch === pitch);
+        if (!isStillHeld) {
+            this._removeCurrentNote(pitch);
+        }
+    }
+}
@@ -0,0 +1,215 @@
+import { Note } from 'musicvis-lib';
+import { SUSTAIN_PEDAL } from './MidiControlChangeListener';
+
+/**
+ * Maps KeyboardEvent.code to semitones above the current octave's C,
+ * the home row is used for white keys and the row above for black keys
+ */
+const KEY_CODE_TO_SEMITONE = new Map([
+    ['KeyA', 0],
+    ['KeyW', 1],
+    ['KeyS', 2],
+    ['KeyE', 3],
+    ['KeyD', 4],
+    ['KeyF', 5],
+    ['KeyT', 6],
+    ['KeyG', 7],
+    ['KeyY', 8],
+    ['KeyH', 9],
+    ['KeyU', 10],
+    ['KeyJ', 11],
+    ['KeyK', 12],
+    ['KeyO', 13],
+    ['KeyL', 14],
+    ['KeyP', 15],
+    ['Semicolon', 16],
+    ['Quote', 17]
+]);
+
+const OCTAVE_DOWN_KEY = 'KeyZ';
+const OCTAVE_UP_KEY = 'KeyX';
+const VELOCITY_DOWN_KEY = 'KeyC';
+const VELOCITY_UP_KEY = 'KeyV';
+const SUSTAIN_KEY = 'Space';
+
+/**
+ * Handles note input without a MIDI device, via the computer keyboard and via
+ * calls to noteOn and noteOff (e.g. from mouse or touch input on the
+ * PianoKeyboard).
+ * Creates the same Note objects as MidiInputManager and uses the same
+ * callbacks, so the rest of the app does not need to know where notes come
+ * from.
+ */
+export default class VirtualInputManager {
+
+    /**
+     * Constructor with callback functions, see MidiInputManager
+     * @param {Function} getMidiLiveData returns the recorded notes
+     * @param {Function} setMidiLiveData updates the recorded notes
+     * @param {Function} addCurrentNote adds a currently played note
+     * @param {Function} removeCurrentNote removes a currently played note
+     * @param {Function} onSettingsChange called with {octave, velocity} when
+     *      the user changes the keyboard octave or velocity
+     * @param {Function} onControlChange called with (controller, value,
+     *      channel) like MidiControlChangeListener, the space bar acts as
+     *      sustain pedal
+     */
+    constructor(
+        getMidiLiveData,
+        setMidiLiveData,
+        addCurrentNote,
+        removeCurrentNote,
+        onSettingsChange = () => { },
+        onControlChange = () => { }
+    ) {
+        this._getMidiLiveData = getMidiLiveData;
+        this._setMidiLiveData = setMidiLiveData;
+        this._addCurrentNote = addCurrentNote;
+        this._removeCurrentNote = removeCurrentNote;
+        this._onSettingsChange = onSettingsChange;
+        this._onControlChange = onControlChange;
+        this.octave = 4;
+        this.velocity = 100;
+        this.channel = 0;
+        // Pitches of currently pressed computer keys by KeyboardEvent.code,
+        // so octave changes while holding keys release the correct notes
+        this._pressedKeys = new Map();
+        this._sustainKeyDown = false;
+    }
+
+    /**
+     * Starts listening to computer keyboard events
+     */
+    attachKeyboardListeners() {
+        window.addEventListener('keydown', this._onKeyDown);
+        window.addEventListener('keyup', this._onKeyUp);
+        window.addEventListener('blur', this._releaseAllKeys);
+    }
+
+    /**
+     * Stops listening to computer keyboard events
+     */
+    detachKeyboardListeners() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('keyup', this._onKeyUp);
+        window.removeEventListener('blur', this._releaseAllKeys);
+        this._releaseAllKeys();
+    }
+
+    /**
+     * Starts a note
+     * @param {number} pitch MIDI pitch in [0, 127]
+     * @param {number} velocity MIDI velocity in [1, 127]
+     */
+    noteOn(pitch, velocity = this.velocity) {
+        const note = new Note(pitch, performance.now() / 1000, velocity, this.channel);
+        this._addCurrentNote(note);
+        this._setMidiLiveData(this._getMidiLiveData().concat([note]));
+    }
+
+    /**
+     * Ends a note by updating the end time of the latest note with this pitch
+     * @param {number} pitch MIDI pitch in [0, 127]
+     */
+    noteOff(pitch) {
+        const midiData = this._getMidiLiveData();
+        for (let index = midiData.length - 1; index >= 0; index--) {
+            const note = midiData[index];
+            if (note.pitch === pitch && note.channel === this.channel && note.end === null) {
+                note.end = performance.now() / 1000;
+                this._setMidiLiveData(midiData);
+                break;
+            }
+        }
+        this._removeCurrentNote(pitch);
+    }
+
+    /**
+     * Handles keydown events
+     * @param {KeyboardEvent} event keyboard event
+     */
+    _onKeyDown = (event) => {
+        if (event.repeat || this._shouldIgnore(event)) {
+            return;
+        }
+        const { code } = event;
+        if (KEY_CODE_TO_SEMITONE.has(code)) {
+            if (this._pressedKeys.has(code)) {
+                return;
+            }
+            const pitch = (this.octave + 1) * 12 + KEY_CODE_TO_SEMITONE.get(code);
+            if (pitch > 127) {
+                return;
+            }
+            this._pressedKeys.set(code, pitch);
+            this.noteOn(pitch);
+        } else if (code === SUSTAIN_KEY) {
+            // Do not scroll the page
+            event.preventDefault();
+            this._sustainKeyDown = true;
+            this._onControlChange(SUSTAIN_PEDAL, 127, this.channel);
+        } else if (code === OCTAVE_DOWN_KEY) {
+            this.octave = Math.max(-1, this.octave - 1);
+            this._onSettingsChange({ octave: this.octave, velocity: this.velocity });
+        } else if (code === OCTAVE_UP_KEY) {
+            this.octave = Math.min(9, this.octave + 1);
+            this._onSettingsChange({ octave: this.octave, velocity: this.velocity });
+        } else if (code === VELOCITY_DOWN_KEY) {
+            this.velocity = Math.max(7, this.velocity - 20);
+            this._onSettingsChange({ octave: this.octave, velocity: this.velocity });
+        } else if (code === VELOCITY_UP_KEY) {
+            this.velocity = Math.min(127, this.velocity + 20);
+            this._onSettingsChange({ octave: this.octave, velocity: this.velocity });
+        }
+    }
+
+    /**
+     * Handles keyup events
+     * @param {KeyboardEvent} event keyboard event
+     */
+    _onKeyUp = (event) => {
+        const { code } = event;
+        if (this._pressedKeys.has(code)) {
+            const pitch = this._pressedKeys.get(code);
+            this._pressedKeys.delete(code);
+            this.noteOff(pitch);
+        } else if (code === SUSTAIN_KEY && this._sustainKeyDown) {
+            this._sustainKeyDown = false;
+            this._onControlChange(SUSTAIN_PEDAL, 0, this.channel);
+        }
+    }
+
+    /**
+     * Releases all notes of pressed computer keys and the sustain key, e.g.
+     * when the window loses focus and keyup events would get lost
+     */
+    _releaseAllKeys = () => {
+        for (let pitch of this._pressedKeys.values()) {
+            this.noteOff(pitch);
+        }
+        this._pressedKeys.clear();
+        if (this._sustainKeyDown) {
+            this._sustainKeyDown = false;
+            this._onControlChange(SUSTAIN_PEDAL, 0, this.channel);
+        }
+    }
+
+    /**
+     * Keys typed into form elements or combined with modifiers are not notes
+     * @param {KeyboardEvent} event keyboard event
+     * @returns {boolean} true if the event should be ignored
+     */
+    _shouldIgnore(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return true;
+        }
+        const target = event.target;
+        if (!target || !target.tagName) {
+            return false;
+        }
+        if (target.tagName === 'INPUT') {
+            return !['checkbox', 'radio', 'button', 'range'].includes(target.type);
+        }
+        return target.tagName === 'SELECT' || target.tagName === 'TEXTAREA';
+    }
+}
@@ -0,0 +1,87 @@
+const NOTE_OFF = 128;
+const NOTE_ON = 144;
+const CONTROL_CHANGE = 176;
+
+/**
+ * Sends MIDI messages to an output port.
+ * The port can be a Web MIDI MIDIOutput or any object with a send(data)
+ * method, e.g. a fake port that records the messages.
+ * Notes are counted per channel and pitch, so a note that is requested by
+ * two sources (e.g. thru and a triggered chord) only stops when both
+ * released it.
+ */
+export default class MidiOutput {
+
+    /**
+     * @param {MIDIOutput|Object} port output port with a send(data) method
+     */
+    constructor(port) {
+        this.port = port;
+        // Number of active requests by '<channel>-<pitch>'
+        this._noteCounts = new Map();
+    }
+
+    /**
+     * @param {number} pitch MIDI pitch in [0, 127]
+     * @param {number} velocity velocity in [1, 127]
+     * @param {number} channel channel in [0, 15]
+     */
+    noteOn(pitch, velocity, channel = 0) {
+        const key = `${channel}-${pitch}`;
+        const count = this._noteCounts.get(key) || 0;
+        this._noteCounts.set(key, count + 1);
+        if (count === 0) {
+            this._send([NOTE_ON + channel, pitch, velocity]);
+        }
+    }
+
+    /**
+     * @param {number} pitch MIDI pitch in [0, 127]
+     * @param {number} channel channel in [0, 15]
+     */
+    noteOff(pitch, channel = 0) {
+        const key = `${channel}-${pitch}`;
+        const count = this._noteCounts.get(key) || 0;
+        if (count === 0) {
+            return;
+        }
+        if (count > 1) {
+            this._noteCounts.set(key, count - 1);
+            return;
+        }
+        this._noteCounts.delete(key);
+        this._send([NOTE_OFF + channel, pitch, 0]);
+    }
+
+    /**
+     * @param {number} controller controller number
+     * @param {number} value value in [0, 127]
+     * @param {number} channel channel in [0, 15]
+     */
+    controlChange(controller, value, channel = 0) {
+        this._send([CONTROL_CHANGE + channel, controller, value]);
+    }
+
+    /**
+     * Sends a message, a port that was disconnected meanwhile throws
+     * @param {number[]} data MIDI message
+     */
+    _send(data) {
+        try {
+            this.port.send(data);
+        } catch (error) {
+            console.warn('[MidiOutput] Cannot send message', error);
+        }
+    }
+
+    /**
+     * Stops all notes that were started with this object
+     */
+    allNotesOff() {
+        for (let key of this._noteCounts.keys()) {
+            const [channel, pitch] = key.split('-').map(Number);
+            this._send([NOTE_OFF + channel, pitch, 0]);
+        }
+        this._noteCounts.clear();
+    }
+}
@@ -0,0 +1,200 @@
+import { ChordType, Interval, Note as TonalNote } from '@tonaljs/tonal';
+import { parseChordSymbol } from '../harmony/ChordUtils';
+
+/**
+ * Chord types for the chord trigger mode, as tonal chord type aliases
+ */
+export const TRIGGER_CHORD_TYPES = ['M', 'm', 'dim', 'aug', 'sus2', 'sus4', '6', 'm6', '7', 'maj7', 'm7', 'm7b5', 'dim7', '9', 'maj9', 'm9', 'add9'];
+
+export const TRIGGER_VOICINGS = ['close', '1st inversion', '2nd inversion', 'drop-2', 'spread'];
+
+/**
+ * Lowest pitch of the bass note output, C2
+ */
+const BASS_OCTAVE_START = 36;
+
+/**
+ * Returns the default output settings
+ * @returns {Object} {outputId, thru, chordTrigger, triggerChordType,
+ *      triggerVoicing, sendBass, bassMode, bassChannel}, bassMode is 'root'
+ *      or 'bass' (lowest note), bassChannel is in [0, 15]
+ */
+export function getDefaultOutputSettings() {
+    return {
+        outputId: null,
+        thru: true,
+        chordTrigger: false,
+        triggerChordType: 'M',
+        triggerVoicing: 'close',
+        sendBass: false,
+        bassMode: 'root',
+        // Thru keeps the input channel, controllers rarely send on channel 16
+        bassChannel: 15
+    };
+}
+
+/**
+ * Returns the pitches of a chord built on a pressed key
+ * @param {number} rootPitch MIDI pitch of the root
+ * @param {string} chordType tonal chord type alias, e.g. 'm7'
+ * @param {string} voicing one of TRIGGER_VOICINGS
+ * @returns {number[]} ascending MIDI pitches in [0, 127]
+ */
+export function getTriggerChordPitches(rootPitch, chordType, voicing = 'close') {
+    const type = ChordType.get(chordType);
+    if (type.empty) {
+        return [rootPitch];
+    }
+    let pitches = type.intervals.map(d => rootPitch + Interval.semitones(d));
+    const inversion = ['close', '1st inversion', '2nd inversion'].indexOf(voicing);
+    if (inversion > 0) {
+        for (let i = 0; i < inversion; i++) {
+            pitches.push(pitches.shift() + 12);
+        }
+    } else if (voicing === 'drop-2' && pitches.length >= 4) {
+        const dropped = pitches.splice(pitches.length - 2, 1)[0] - 12;
+        pitches.unshift(dropped);
+    } else if (voicing === 'spread') {
+        pitches[0] -= 12;
+    }
+    return pitches
+        .filter(d => d >= 0 && d <= 127)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Turns the played notes and the detected chord into MIDI output: played
+ * notes are sent thru or each key triggers a full chord, the root or bass of
+ * the detected chord can be sent on a separate channel.
+ * Works with any MidiOutput, null means there is no output.
+ */
+export default class MidiOutputRouter {
+
+    /**
+     * @param {Object} settings see getDefaultOutputSettings
+     */
+    constructor(settings = getDefaultOutputSettings()) {
+        this.settings = settings;
+        this.output = null;
+        // Sent pitches and channel for each held input pitch
+        this._sentNotes = new Map();
+        this._bassPitch = null;
+    }
+
+    /**
+     * Changes the output, all notes on the previous one are stopped
+     * @param {MidiOutput|null} output output
+     */
+    setOutput(output) {
+        this.allNotesOff();
+        this.output = output;
+    }
+
+    /**
+     * Changes settings, held notes keep sounding unless the port or the bass
+     * channel changes
+     * @param {Object} settings settings to change
+     */
+    setSettings(settings) {
+        const previous = this.settings;
+        this.settings = { ...previous, ...settings };
+        if (previous.outputId !== this.settings.outputId || previous.bassChannel !== this.settings.bassChannel) {
+            this.allNotesOff();
+        } else if (!this.settings.sendBass && this._bassPitch !== null) {
+            // setChord does not stop the bass once it is turned off
+            if (this.output) {
+                this.output.noteOff(this._bassPitch, previous.bassChannel);
+            }
+            this._bassPitch = null;
+        }
+    }
+
+    /**
+     * Handles a played note
+     * @param {Note} note note
+     */
+    noteOn(note) {
+        const { thru, chordTrigger, triggerChordType, triggerVoicing } = this.settings;
+        if (!this.output || !(thru || chordTrigger)) {
+            return;
+        }
+        // A re-struck key first releases its previous notes
+        this.noteOff(note.pitch);
+        const pitches = chordTrigger
+            ? getTriggerChordPitches(note.pitch, triggerChordType, triggerVoicing)
+            : [note.pitch];
+        for (let pitch of pitches) {
+            this.output.noteOn(pitch, note.velocity, note.channel);
+        }
+        this._sentNotes.set(note.pitch, { pitches, channel: note.channel });
+    }
+
+    /**
+     * Handles a released note
+     * @param {number} pitch pitch of the released key
+     */
+    noteOff(pitch) {
+        const sent = this._sentNotes.get(pitch);
+        if (!this.output || !sent) {
+            return;
+        }
+        for (let d of sent.pitches) {
+            this.output.noteOff(d, sent.channel);
+        }
+        this._sentNotes.delete(pitch);
+    }
+
+    /**
+     * Sends control changes (e.g. pedals) thru
+     * @param {number} controller controller number
+     * @param {number} value value in [0, 127]
+     * @param {number} channel channel in [0, 15]
+     */
+    controlChange(controller, value, channel = 0) {
+        if (this.output && (this.settings.thru || this.settings.chordTrigger)) {
+            this.output.controlChange(controller, value, channel);
+        }
+    }
+
+    /**
+     * Sends the root or bass of the detected chord on the bass channel
+     * @param {string|null} symbol detected chord symbol or null
+     * @param {Note[]} notes detected notes, sorted by pitch
+     */
+    setChord(symbol, notes) {
+        const { sendBass, bassMode, bassChannel } = this.settings;
+        if (!this.output || !sendBass) {
+            return;
+        }
+        let pitchClass = null;
+        if (symbol && bassMode === 'root') {
+            const { chord } = parseChordSymbol(symbol);
+            pitchClass = chord.tonic ? TonalNote.chroma(chord.tonic) : null;
+        } else if (symbol && notes.length > 0) {
+            pitchClass = notes[0].pitch % 12;
+        }
+        const bassPitch = pitchClass === null ? null : BASS_OCTAVE_START + pitchClass;
+        if (bassPitch === this._bassPitch) {
+            return;
+        }
+        if (this._bassPitch !== null) {
+            this.output.noteOff(this._bassPitch, bassChannel);
+        }
+        if (bassPitch !== null) {
+            const velocity = Math.round(notes.reduce((sum, d) => sum + d.velocity, 0) / notes.length) || 100;
+            this.output.noteOn(bassPitch, velocity, bassChannel);
+        }
+        this._bassPitch = bassPitch;
+    }
+
+    /**
+     * Stops all notes
+     */
+    allNotesOff() {
+        if (this.output) {
+            this.output.allNotesOff();
+        }
+        this._sentNotes.clear();
+        this._bassPitch = null;
+    }
+}
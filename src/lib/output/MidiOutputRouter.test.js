@@ -0,0 +1,186 @@
+import { Note } from 'musicvis-lib';
+import MidiOutput from './MidiOutput';
+import MidiOutputRouter, { getDefaultOutputSettings, getTriggerChordPitches } from './MidiOutputRouter';
+
+const NOTE_OFF = 128;
+const NOTE_ON = 144;
+
+/**
+ * Creates a fake Web MIDI output port that records all sent messages
+ * @returns {Object} port with send(data) and the sent messages
+ */
+function createFakePort() {
+    return {
+        messages: [],
+        send(data) {
+            this.messages.push(data);
+        }
+    };
+}
+
+/**
+ * Creates a router with a fake output
+ * @param {Object} settings settings to change from the defaults
+ * @returns {Object} {router, port}
+ */
+function createRouter(settings = {}) {
+    const port = createFakePort();
+    const router = new MidiOutputRouter({ ...getDefaultOutputSettings(), ...settings });
+    router.setOutput(new MidiOutput(port));
+    return { router, port };
+}
+
+describe('thru', () => {
+    test('sends played notes on their channel', () => {
+        const { router, port } = createRouter();
+        router.noteOn(new Note(60, 0, 100, 3));
+        router.noteOff(60);
+        expect(port.messages).toEqual([
+            [NOTE_ON + 3, 60, 100],
+            [NOTE_OFF + 3, 60, 0]
+        ]);
+    });
+
+    test('sends nothing when thru is off', () => {
+        const { router, port } = createRouter({ thru: false });
+        router.noteOn(new Note(60, 0, 100));
+        router.noteOff(60);
+        expect(port.messages).toEqual([]);
+    });
+
+    test('a re-struck key sends note-off first', () => {
+        const { router, port } = createRouter();
+        router.noteOn(new Note(60, 0, 100));
+        router.noteOn(new Note(60, 1, 80));
+        expect(port.messages).toEqual([
+            [NOTE_ON, 60, 100],
+            [NOTE_OFF, 60, 0],
+            [NOTE_ON, 60, 80]
+        ]);
+    });
+});
+
+describe('chord trigger', () => {
+    const voicings = [
+        ['close', 'M', [60, 64, 67]],
+        ['1st inversion', 'M', [64, 67, 72]],
+        ['2nd inversion', 'M', [67, 72, 76]],
+        ['drop-2', 'maj7', [55, 60, 64, 71]],
+        ['spread', 'M', [48, 64, 67]]
+    ];
+
+    test.each(voicings)('%s voicing', (voicing, chordType, expected) => {
+        expect(getTriggerChordPitches(60, chordType, voicing)).toEqual(expected);
+        const { router, port } = createRouter({ chordTrigger: true, triggerChordType: chordType, triggerVoicing: voicing });
+        router.noteOn(new Note(60, 0, 90));
+        expect(port.messages).toEqual(expected.map(d => [NOTE_ON, d, 90]));
+        port.messages = [];
+        router.noteOff(60);
+        expect(port.messages).toEqual(expected.map(d => [NOTE_OFF, d, 0]));
+    });
+
+    test('a re-struck key releases its chord first', () => {
+        const { router, port } = createRouter({ chordTrigger: true });
+        router.noteOn(new Note(60, 0, 90));
+        port.messages = [];
+        router.noteOn(new Note(60, 1, 70));
+        expect(port.messages).toEqual([
+            [NOTE_OFF, 60, 0],
+            [NOTE_OFF, 64, 0],
+            [NOTE_OFF, 67, 0],
+            [NOTE_ON, 60, 70],
+            [NOTE_ON, 64, 70],
+            [NOTE_ON, 67, 70]
+        ]);
+    });
+});
+
+describe('chord bass', () => {
+    const bassChannel = getDefaultOutputSettings().bassChannel;
+    const notes = [new Note(52, 0, 80), new Note(60, 0, 100), new Note(67, 0, 90)];
+
+    test('sends the root on the bass channel', () => {
+        const { router, port } = createRouter({ sendBass: true, bassMode: 'root' });
+        router.setChord('C/E', notes);
+        expect(port.messages).toEqual([[NOTE_ON + bassChannel, 36, 90]]);
+    });
+
+    test('sends the lowest note on the bass channel', () => {
+        const { router, port } = createRouter({ sendBass: true, bassMode: 'bass' });
+        router.setChord('C/E', notes);
+        expect(port.messages).toEqual([[NOTE_ON + bassChannel, 40, 90]]);
+    });
+
+    test('a bass change sends note-off, then note-on', () => {
+        const { router, port } = createRouter({ sendBass: true });
+        router.setChord('C', notes);
+        router.setChord('C', notes);
+        router.setChord('G', notes);
+        router.setChord(null, []);
+        expect(port.messages).toEqual([
+            [NOTE_ON + bassChannel, 36, 90],
+            [NOTE_OFF + bassChannel, 36, 0],
+            [NOTE_ON + bassChannel, 43, 90],
+            [NOTE_OFF + bassChannel, 43, 0]
+        ]);
+    });
+
+    test('thru on another channel does not use the bass channel', () => {
+        const { router, port } = createRouter({ sendBass: true });
+        router.noteOn(new Note(60, 0, 100, 1));
+        router.setChord('C', [new Note(60, 0, 100, 1)]);
+        expect(port.messages.map(d => d[0] & 15)).toEqual([1, bassChannel]);
+    });
+});
+
+describe('silencing held notes', () => {
+    test('changing the mode keeps held notes', () => {
+        const { router, port } = createRouter();
+        router.noteOn(new Note(60, 0, 100));
+        port.messages = [];
+        router.setSettings({ chordTrigger: true, triggerVoicing: 'spread' });
+        expect(port.messages).toEqual([]);
+        // The key still releases the note it started
+        router.noteOff(60);
+        expect(port.messages).toEqual([[NOTE_OFF, 60, 0]]);
+    });
+
+    test('changing the bass channel stops held and bass notes', () => {
+        const { router, port } = createRouter({ sendBass: true });
+        router.noteOn(new Note(60, 0, 100));
+        router.setChord('C', [new Note(60, 0, 100)]);
+        port.messages = [];
+        router.setSettings({ bassChannel: 14 });
+        expect(port.messages).toEqual(expect.arrayContaining([
+            [NOTE_OFF, 60, 0],
+            [NOTE_OFF + getDefaultOutputSettings().bassChannel, 36, 0]
+        ]));
+        expect(port.messages).toHaveLength(2);
+        // The released key has nothing left to stop
+        port.messages = [];
+        router.noteOff(60);
+        expect(port.messages).toEqual([]);
+    });
+
+    test('turning off the bass stops the bass note', () => {
+        const { router, port } = createRouter({ sendBass: true });
+        router.setChord('C', [new Note(60, 0, 100)]);
+        port.messages = [];
+        router.setSettings({ sendBass: false });
+        router.setChord('G', [new Note(67, 0, 100)]);
+        expect(port.messages).toEqual([[NOTE_OFF + getDefaultOutputSettings().bassChannel, 36, 0]]);
+    });
+
+    test('setOutput stops notes on the previous output', () => {
+        const { router, port } = createRouter();
+        router.noteOn(new Note(60, 0, 100));
+        const newPort = createFakePort();
+        router.setOutput(new MidiOutput(newPort));
+        expect(port.messages).toEqual([
+            [NOTE_ON, 60, 100],
+            [NOTE_OFF, 60, 0]
+        ]);
+        router.noteOff(60);
+        expect(newPort.messages).toEqual([]);
+    });
+});
@@ -0,0 +1,167 @@
+import { Chord, Note as TonalNote } from '@tonaljs/tonal';
+import { Utils } from 'musicvis-lib';
+import { getChordPitches } from '../harmony/ChordUtils';
+
+const { choose, storeObjectInLocalStorage, getObjectFromLocalStorage } = Utils;
+
+/**
+ * Chord types that can be asked, as tonal chord type aliases
+ */
+export const QUIZ_CHORD_TYPES = ['M', 'm', 'dim', 'aug', 'sus2', 'sus4', '6', 'm6', '7', 'maj7', 'm7', 'm7b5', 'dim7', 'mMaj7'];
+
+export const QUIZ_ROOTS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+export const INVERSION_NAMES = ['root position', '1st inversion', '2nd inversion', '3rd inversion'];
+
+const STATS_STORAGE_KEY = 'midi-chords-quiz-stats';
+
+/**
+ * Returns the default quiz settings
+ * @returns {Object} {chordTypes, roots, inversions, earTraining}, with ear
+ *      training the chord is played instead of named
+ */
+export function getDefaultQuizSettings() {
+    return {
+        chordTypes: ['M', 'm', '7'],
+        roots: [...QUIZ_ROOTS],
+        inversions: [0],
+        earTraining: false
+    };
+}
+
+/**
+ * Creates a random question from the enabled chord types, roots and
+ * inversions
+ * @param {Object} settings {chordTypes, roots, inversions}
+ * @param {Object|null} previous previous question, is not asked twice in a
+ *      row if possible
+ * @returns {Object|null} question {chord, symbol, chordType, inversion,
+ *      bass, pitchClasses, pitches, askedAt, hadMistake} or null if the
+ *      settings allow no chord
+ */
+export function createQuestion(settings, previous = null) {
+    const candidates = [];
+    for (let chordType of settings.chordTypes) {
+        for (let root of settings.roots) {
+            const chord = Chord.get(`${root}${chordType}`);
+            for (let inversion of settings.inversions) {
+                if (!chord.empty && inversion < chord.notes.length) {
+                    candidates.push({ chord, chordType, inversion });
+                }
+            }
+        }
+    }
+    if (candidates.length === 0) {
+        return null;
+    }
+    let candidate = choose(candidates);
+    if (previous && candidates.length > 1) {
+        while (candidate.chord.symbol === previous.chord.symbol && candidate.inversion === previous.inversion) {
+            candidate = choose(candidates);
+        }
+    }
+    const { chord, chordType, inversion } = candidate;
+    const bass = chord.notes[inversion];
+    // Root position pitches around middle C, lower notes moved up
+    let pitches = getChordPitches(chord.symbol, 4);
+    for (let i = 0; i < inversion; i++) {
+        pitches.push(pitches.shift() + 12);
+    }
+    if (pitches[0] > 66) {
+        pitches = pitches.map(d => d - 12);
+    }
+    return {
+        chord,
+        symbol: inversion > 0 ? `${chord.symbol}/${bass}` : chord.symbol,
+        chordType,
+        inversion,
+        bass,
+        pitchClasses: new Set(chord.notes.map(TonalNote.chroma)),
+        pitches,
+        askedAt: performance.now() / 1000,
+        hadMistake: false
+    };
+}
+
+/**
+ * Compares played pitches with a question
+ * @param {Object} question question, see createQuestion
+ * @param {number[]} playedPitches MIDI pitches of the held keys
+ * @returns {Object} {isCorrect, correct, wrong, missing, message} where
+ *      correct and wrong are Sets of played pitches and missing is a Set of
+ *      target pitches whose pitch class was not played
+ */
+export function checkAnswer(question, playedPitches) {
+    const correct = new Set();
+    const wrong = new Set();
+    const playedPitchClasses = new Set();
+    for (let pitch of playedPitches) {
+        if (question.pitchClasses.has(pitch % 12)) {
+            correct.add(pitch);
+            playedPitchClasses.add(pitch % 12);
+        } else {
+            wrong.add(pitch);
+        }
+    }
+    const missing = new Set(question.pitches.filter(d => !playedPitchClasses.has(d % 12)));
+    const hasAllNotes = missing.size === 0 && wrong.size === 0;
+    const lowest = Math.min(...playedPitches);
+    const hasCorrectBass = lowest % 12 === TonalNote.chroma(question.bass);
+    let message = '';
+    if (hasAllNotes && !hasCorrectBass) {
+        message = `Correct notes, but the lowest note should be ${question.bass}`;
+        correct.delete(lowest);
+        wrong.add(lowest);
+    }
+    return {
+        isCorrect: hasAllNotes && hasCorrectBass,
+        correct,
+        wrong,
+        missing,
+        message
+    };
+}
+
+/**
+ * Returns a readable name of a question, e.g. 'C major, 1st inversion'
+ * @param {Object} question question
+ * @returns {string} name
+ */
+export function getQuestionName(question) {
+    return `${question.chord.tonic} ${question.chord.type || question.chordType}, ${INVERSION_NAMES[question.inversion]}`;
+}
+
+/**
+ * Adds the result of a finished question to the statistics
+ * @param {Object} stats statistics by chord type
+ * @param {Object} question finished question
+ * @param {boolean} solved false if the question was skipped
+ * @returns {Object} new statistics by chord type {asked, correct, solved,
+ *      totalTime}, correct counts questions solved without mistakes
+ */
+export function addResultToStats(stats, question, solved) {
+    const old = stats[question.chordType] || { asked: 0, correct: 0, solved: 0, totalTime: 0 };
+    const entry = { ...old, asked: old.asked + 1 };
+    if (solved) {
+        entry.solved++;
+        entry.totalTime += performance.now() / 1000 - question.askedAt;
+        if (!question.hadMistake) {
+            entry.correct++;
+        }
+    }
+    return { ...stats, [question.chordType]: entry };
+}
+
+/**
+ * @returns {Object} statistics from localStorage or empty statistics
+ */
+export function loadQuizStats() {
+    return getObjectFromLocalStorage(STATS_STORAGE_KEY) || {};
+}
+
+/**
+ * @param {Object} stats statistics by chord type
+ */
+export function saveQuizStats(stats) {
+    storeObjectInLocalStorage(STATS_STORAGE_KEY, stats);
+}
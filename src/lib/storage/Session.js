@@ -0,0 +1,113 @@
+import { Note } from 'musicvis-lib';
+import { getChordSegments } from '../harmony/ChordSegmentation';
+
+/**
+ * Returns a new, empty recording session
+ * @param {string} name session name
+ * @returns {Object} session {name, createdAt, updatedAt, duration, notes,
+ *      chordHistory}, dates are in ms since 1970, times in seconds relative
+ *      to the start of the recording
+ */
+export function createSession(name) {
+    const now = Date.now();
+    return {
+        name,
+        createdAt: now,
+        updatedAt: now,
+        duration: 0,
+        notes: [],
+        chordHistory: []
+    };
+}
+
+/**
+ * Returns a plain copy of a note with times relative to the recording start,
+ * unfinished notes end at endTime
+ * @param {Note} note note
+ * @param {number} offset recording start time
+ * @param {number} endTime end time for unfinished notes
+ * @returns {Object} {pitch, start, end, velocity, channel}
+ */
+function serializeNote(note, offset, endTime) {
+    return {
+        pitch: note.pitch,
+        start: note.start - offset,
+        end: (note.end === null ? endTime : note.end) - offset,
+        velocity: note.velocity,
+        channel: note.channel
+    };
+}
+
+/**
+ * Returns a Note with times shifted by an offset
+ * @param {Object} note serialized note
+ * @param {number} offset offset in seconds
+ * @returns {Note} note
+ */
+function deserializeNote(note, offset) {
+    return Note.from({
+        ...note,
+        start: note.start + offset,
+        end: note.end + offset
+    });
+}
+
+/**
+ * Stores the notes and chords recorded since the recording start in a
+ * session
+ * @param {Object} session session, see createSession
+ * @param {number} recordingStart start of the recording, in the time base of
+ *      the notes
+ * @param {Note[]} midiLiveData recorded notes
+ * @param {Object[]} chordHistory chord history entries {time, chords, notes}
+ * @param {number} now current time, in the time base of the notes
+ * @returns {Object} updated session
+ */
+export function captureSession(session, recordingStart, midiLiveData, chordHistory, now) {
+    return {
+        ...session,
+        updatedAt: Date.now(),
+        duration: now - recordingStart,
+        notes: midiLiveData
+            .filter(d => d.start >= recordingStart)
+            .map(d => serializeNote(d, recordingStart, now)),
+        chordHistory: chordHistory
+            .filter(d => d.time >= recordingStart)
+            .map(d => ({
+                time: d.time - recordingStart,
+                chords: d.chords,
+                notes: d.notes.map(note => serializeNote(note, recordingStart, now))
+            }))
+    };
+}
+
+/**
+ * Turns a stored session back into app data. The session is placed so that
+ * it ends now, so it is visible in the time-based views.
+ * Sessions without chord history (e.g. imported ones) get a chord timeline
+ * computed from their notes.
+ * @param {Object} session session
+ * @param {number} now current time, in the time base of the notes
+ * @returns {Object} {midiLiveData, chordHistory}
+ */
+export function restoreSession(session, now) {
+    const offset = now - session.duration;
+    const midiLiveData = session.notes
+        .map(d => deserializeNote(d, offset))
+        .sort((a, b) => a.start - b.start);
+    let chordHistory;
+    if (session.chordHistory) {
+        chordHistory = session.chordHistory.map(d => ({
+            time: d.time + offset,
+            chords: d.chords,
+            notes: d.notes.map(note => deserializeNote(note, offset))
+        }));
+    } else {
+        chordHistory = getChordSegments(midiLiveData).map(d => ({
+            time: d.start,
+            chords: d.chords,
+            notes: d.notes
+        }));
+    }
+    return { midiLiveData, chordHistory };
+}
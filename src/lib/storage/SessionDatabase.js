@@ -0,0 +1,89 @@
+const DATABASE_NAME = 'midi-chords';
+const DATABASE_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+/**
+ * Opens the database, creates the object store on first use
+ * @returns {Promise<IDBDatabase>} database
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+        const request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a single request on the session store
+ * @param {string} mode 'readonly' or 'readwrite'
+ * @param {Function} createRequest called with the object store, returns an
+ *      IDBRequest
+ * @returns {Promise<*>} result of the request
+ */
+async function runRequest(mode, createRequest) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(SESSION_STORE, mode);
+            const request = createRequest(transaction.objectStore(SESSION_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Saves a session, sessions without id are added
+ * @param {Object} session session, see createSession
+ * @returns {Promise<number>} id of the session
+ */
+export function saveSession(session) {
+    return runRequest('readwrite', store => store.put(session));
+}
+
+/**
+ * @param {number} id session id
+ * @returns {Promise<Object|undefined>} session or undefined if not found
+ */
+export function loadSession(id) {
+    return runRequest('readonly', store => store.get(id));
+}
+
+/**
+ * @param {number} id session id
+ * @returns {Promise<undefined>}
+ */
+export function deleteSession(id) {
+    return runRequest('readwrite', store => store.delete(id));
+}
+
+/**
+ * Lists all sessions without their notes
+ * @returns {Promise<Object[]>} {id, name, createdAt, updatedAt, duration,
+ *      noteCount, chordCount}, newest first
+ */
+export async function listSessions() {
+    const sessions = await runRequest('readonly', store => store.getAll());
+    return sessions
+        .map(({ id, name, createdAt, updatedAt, duration, notes, chordHistory }) => ({
+            id,
+            name,
+            createdAt,
+            updatedAt,
+            duration,
+            noteCount: notes.length,
+            chordCount: chordHistory ? chordHistory.length : 0
+        }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
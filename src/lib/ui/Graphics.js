@@ -1,8 +1,10 @@
-import { getBoxplotCharacteristics, kernelEpanechnikov, kernelDensityEstimator } from "../utils/StatisticsUtils";
+import { Utils } from "musicvis-lib";
 import { curveMonotoneX, curveLinear, line } from "d3-shape";
 import { scaleLinear } from "d3-scale";
 import { extent, max } from "d3-array";
 
+const { getBoxplotCharacteristics, kernelEpanechnikov, kernelDensityEstimator } = Utils;
+
 
 /**
  * Sets up a canvas rescaled to device pixel ratio
@@ -31,8 +33,9 @@ export function setupCanvas(canvas) {
  * Draws horizontal bands with alternating color to better distinguish rows.
  * @param {CanvasRenderingContext2D} ctx canvas rendering context
  * @param {number} rowHeight height of bnote boxes
+ * @param {string} fillStyle color of the bands, e.g. the theme's rowBand
  */
-export function drawRowBands(ctx, margin, rows, rowHeight, width, fillStyle = 'rgba(128, 128, 128, 0.1)') {
+export function drawRowBands(ctx, margin, rows, rowHeight, width, fillStyle) {
     const oldFill = ctx.fillStyle;
     ctx.fillStyle = fillStyle;
     const xPos = margin.left;
@@ -101,8 +104,8 @@ export function drawStackedBarChart(ctx, x, y, width, height, maxVal, values, co
  * @param {number} plotHeight height of the plot
  * @param {number[]} data array of numbers to draw the boxplot for
  * @param {boolean} drawOutliers if true, outliers will be drawn as dots
- * @param {string} fillBox color for the box
- * @param {string} fillWhisk color for the whiskers
+ * @param {string} fillBox color for the box, e.g. from the theme
+ * @param {string} fillWhisk color for the whiskers, e.g. from the theme
  */
 export function drawBoxplot(
     ctx,
@@ -111,9 +114,9 @@ export function drawBoxplot(
     yPos,
     plotHeight,
     data,
-    drawOutliers = false,
-    fillBox = 'rgba(70, 130, 180, 0.8)',
-    fillWhisk = 'steelblue'
+    drawOutliers,
+    fillBox,
+    fillWhisk
 ) {
     const { q1, q2, q3, r0, r1 } = getBoxplotCharacteristics(data);
     // Get positions
@@ -448,11 +451,16 @@ export function drawAssymetricArc(ctx, startX1, endX1, startX2, endX2, yBottom)
  * Draws a line indicating the current player time
  * @param {number} currentPlayerTime current player time in seconds
  * @param {Function} x D3 scaleLinear for x axis
+ * @param {string} fillStyle color, e.g. from the theme, uses the current
+ *      fill style if not given
  */
-export function drawCurrentTimeIndicator(ctx, currentPlayerTime, x, height, margin) {
+export function drawCurrentTimeIndicator(ctx, currentPlayerTime, x, height, margin, fillStyle) {
     if (currentPlayerTime === null) {
         return;
     }
+    if (fillStyle) {
+        ctx.fillStyle = fillStyle;
+    }
     const xPos = margin.left + x(currentPlayerTime) - 1;
     ctx.fillRect(xPos, margin.top, 2, height);
 }
@@ -477,10 +485,14 @@ export function clipLeftRight(ctx, margin, width, height) {
  * @param {number} width width
  * @param {number} height height
  * @param {Function} x D3 linear scale
+ * @param {string} lineColor color of the measure lines, e.g. the theme's
+ *      gridLine
+ * @param {string} textColor color of the texts, e.g. the theme's
+ *      canvasMutedText
  */
-export function drawMusicXmlInformation(ctx, parsedXml, margin, width, height, x) {
+export function drawMusicXmlInformation(ctx, parsedXml, margin, width, height, x, lineColor, textColor) {
     // Draw measure lines
-    ctx.fillStyle = 'rgba(128, 128, 128, 0.5)';
+    ctx.fillStyle = lineColor;
     for (let i = 0; i < parsedXml.measureLinePositions.length; i++) {
         const line = parsedXml.measureLinePositions[i];
         const xPos = x(line);
@@ -491,13 +503,13 @@ export function drawMusicXmlInformation(ctx, parsedXml, margin, width, height, x
         ctx.fillRect(pos, margin.top, 2, height);
         // Draw measure number
         if ((i + 2) % 4 === 0) {
-            ctx.fillStyle = '#888';
+            ctx.fillStyle = textColor;
             ctx.fillText(i + 2, pos + 10, margin.top);
-            ctx.fillStyle = 'rgba(128, 128, 128, 0.5)';
+            ctx.fillStyle = lineColor;
         }
     }
     const xOffs = margin.left + 15;
-    ctx.fillStyle = '#888';
+    ctx.fillStyle = textColor;
     // Draw tempo changes
     for (let t of parsedXml.tempoChanges) {
         ctx.fillText(`${t.tempo} bpm`, xOffs + x(t.time), margin.top - 20);
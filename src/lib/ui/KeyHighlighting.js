@@ -0,0 +1,155 @@
+import { range } from 'd3-array';
+import { scaleSequential } from 'd3-scale';
+import { interpolateViridis, interpolateSinebow, schemeTableau10, schemeSet2 } from 'd3-scale-chromatic';
+import { Midi } from 'musicvis-lib';
+
+/**
+ * How pressed keys can be colored, mapped to their readable names
+ */
+export const HIGHLIGHT_MODES = new Map([
+    ['default', 'Single color'],
+    ['velocity', 'Velocity'],
+    ['pitchClass', 'Pitch class'],
+    ['fifths', 'Circle of fifths'],
+    ['role', 'Chord-tone role'],
+    ['channel', 'MIDI channel']
+]);
+
+/**
+ * Chord-tone role groups, mapped to their theme color and legend label
+ */
+const ROLE_GROUPS = new Map([
+    ['root', { color: 'root', label: 'Root' }],
+    ['third', { color: 'roleThird', label: '3rd' }],
+    ['fifth', { color: 'roleFifth', label: '5th' }],
+    ['seventh', { color: 'roleSeventh', label: '7th' }],
+    ['extension', { color: 'roleExtension', label: 'Other' }]
+]);
+
+/**
+ * Velocities shown in the legend
+ */
+const LEGEND_VELOCITIES = [1, 32, 64, 96, 127];
+
+// Enough distinct colors for all 16 channels
+const CHANNEL_COLORS = [...schemeTableau10, ...schemeSet2];
+
+const velocityColor = scaleSequential(interpolateViridis).domain([0, 127]);
+
+/**
+ * Returns the color of a pitch class on the chromatic color wheel
+ * @param {number} pitchClass pitch class in [0, 11]
+ * @returns {string} color
+ */
+function getPitchClassColor(pitchClass) {
+    return interpolateSinebow(pitchClass / 12);
+}
+
+/**
+ * Returns the color of a pitch class on the circle of fifths, so closely
+ * related pitch classes get similar colors
+ * @param {number} pitchClass pitch class in [0, 11]
+ * @returns {string} color
+ */
+function getFifthsColor(pitchClass) {
+    return interpolateSinebow((pitchClass * 7 % 12) / 12);
+}
+
+/**
+ * Returns the group of a chord-tone role
+ * @param {string} role role, e.g. 'R', 'b3', '#11'
+ * @returns {string} group, a key of ROLE_GROUPS
+ */
+export function getRoleGroup(role) {
+    if (role === 'R') {
+        return 'root';
+    }
+    const degree = +role.replace(/[b#]/g, '');
+    if (degree === 3) {
+        return 'third';
+    }
+    if (degree === 5) {
+        return 'fifth';
+    }
+    if (degree === 7) {
+        return 'seventh';
+    }
+    return 'extension';
+}
+
+/**
+ * Returns the color of a pressed key
+ * @param {string} mode highlight mode, a key of HIGHLIGHT_MODES
+ * @param {Note} note pressed note
+ * @param {string|undefined} role chord-tone role of the note
+ * @param {Object} colors theme colors
+ * @returns {string} color
+ */
+export function getKeyHighlightColor(mode, note, role, colors) {
+    switch (mode) {
+        case 'velocity':
+            return velocityColor(note.velocity);
+        case 'pitchClass':
+            return getPitchClassColor(note.pitch % 12);
+        case 'fifths':
+            return getFifthsColor(note.pitch % 12);
+        case 'role':
+            return role === undefined
+                ? colors.note
+                : colors[ROLE_GROUPS.get(getRoleGroup(role)).color];
+        case 'channel':
+            return CHANNEL_COLORS[note.channel % CHANNEL_COLORS.length];
+        default:
+            return colors.note;
+    }
+}
+
+/**
+ * Returns the legend entries of a highlight mode
+ * @param {string} mode highlight mode, a key of HIGHLIGHT_MODES
+ * @param {Object} colors theme colors
+ * @param {Note[]} notes pressed notes, the channel legend only shows their
+ *      channels
+ * @returns {Object[]} entries {label, color}, empty for the default mode
+ */
+export function getHighlightLegend(mode, colors, notes) {
+    const pitchClassEntry = (pitchClass, color) => ({
+        label: Midi.getMidiNoteByNr(pitchClass + 60).name,
+        color
+    });
+    switch (mode) {
+        case 'velocity':
+            return LEGEND_VELOCITIES.map(d => ({ label: `${d}`, color: velocityColor(d) }));
+        case 'pitchClass':
+            return range(12).map(d => pitchClassEntry(d, getPitchClassColor(d)));
+        case 'fifths':
+            return range(12)
+                .map(d => d * 7 % 12)
+                .map(d => pitchClassEntry(d, getFifthsColor(d)));
+        case 'role':
+            return [
+                ...[...ROLE_GROUPS.values()].map(d => ({ label: d.label, color: colors[d.color] })),
+                { label: 'No chord', color: colors.note }
+            ];
+        case 'channel':
+            return [...new Set(notes.map(d => d.channel))]
+                .sort((a, b) => a - b)
+                .map(d => ({ label: `Ch. ${d + 1}`, color: CHANNEL_COLORS[d % CHANNEL_COLORS.length] }));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Returns whether a color is light, so dark text is readable on it
+ * @param {string} color color as #rrggbb or rgb(r, g, b)
+ * @returns {boolean} true for light colors
+ */
+export function isLightColor(color) {
+    const hex = color.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+    const [r, g, b] = hex
+        ? hex.slice(1).map(d => parseInt(d, 16))
+        : (color.match(/\d+/g) || [255, 255, 255]).map(Number);
+    // Perceived brightness
+    return 0.299 * r + 0.587 * g + 0.114 * b > 150;
+}
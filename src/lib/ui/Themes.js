@@ -0,0 +1,299 @@
+import { Utils } from 'musicvis-lib';
+
+const { storeObjectInLocalStorage, getObjectFromLocalStorage } = Utils;
+
+const SETTINGS_STORAGE_KEY = 'midi-chords-theme';
+
+/**
+ * Colors that are used in CSS, mapped to their CSS custom property
+ */
+const CSS_VARIABLES = {
+    accent: '--accentColor',
+    background: '--bodyBgColor',
+    text: '--textColor',
+    mutedText: '--mutedTextColor',
+    toolbarBorder: '--toolbarBorderColor',
+    viewBackground: '--viewBgColor',
+    viewBorder: '--viewBorderColor',
+    axis: '--axisColor',
+    svgText: '--svgTextColor',
+    buttonText: '--btnColor',
+    buttonBackground: '--btnBgColor',
+    buttonBorder: '--btnBorderColor',
+    scrollBarThumb: '--scrollBarThumbBg',
+    scrollBarThumbHover: '--scrollBarThumbBgHover',
+    error: '--errorColor',
+    success: '--successColor',
+    warning: '--warningColor',
+    root: '--rootColor',
+    path: '--pathColor',
+    sounding: '--soundingColor',
+    playback: '--playbackColor'
+};
+
+/**
+ * Readable names of the colors, in the order they are listed in the theme
+ * editor
+ */
+export const COLOR_LABELS = {
+    accent: 'Accent',
+    background: 'Background',
+    text: 'Text',
+    mutedText: 'Secondary text',
+    viewBackground: 'View background',
+    buttonText: 'Button text',
+    buttonBackground: 'Button background',
+    buttonBorder: 'Button border',
+    note: 'Played notes',
+    sounding: 'Sustained notes',
+    playback: 'MIDI file notes',
+    highlighted: 'Highlighted notes',
+    velocityLow: 'Soft notes in the piano roll',
+    velocityHigh: 'Loud notes in the piano roll',
+    whiteKey: 'White keys',
+    blackKey: 'Black keys',
+    whiteKeyText: 'White key labels',
+    blackKeyText: 'Black key labels',
+    whiteScaleKey: 'White keys in scale',
+    blackScaleKey: 'Black keys in scale',
+    keyBorder: 'Key borders',
+    roleLabel: 'Chord-tone roles',
+    root: 'Root',
+    roleThird: 'Thirds',
+    roleFifth: 'Fifths',
+    roleSeventh: 'Sevenths',
+    roleExtension: 'Other chord tones',
+    outOfScale: 'Notes out of scale',
+    path: 'Chord path',
+    canvasText: 'Timeline text',
+    canvasMutedText: 'Timeline secondary text',
+    error: 'Errors',
+    success: 'Correct',
+    warning: 'Warnings',
+    missing: 'Missing notes'
+};
+
+const DARK_COLORS = {
+    accent: '#4682b4',
+    background: '#222222',
+    text: '#dddddd',
+    mutedText: '#999999',
+    toolbarBorder: '#181818',
+    viewBackground: '#2a2a2a',
+    viewBorder: '#1c1c1c',
+    axis: '#aaaaaa',
+    svgText: '#dddddd',
+    buttonText: '#dddddd',
+    buttonBackground: '#444444',
+    buttonBorder: '#555555',
+    scrollBarThumb: '#777777',
+    scrollBarThumbHover: '#999999',
+    note: '#4682b4',
+    sounding: '#8a6fb5',
+    playback: '#5fa88a',
+    highlighted: '#9ac0e0',
+    velocityLow: '#c6dbef',
+    velocityHigh: '#2171b5',
+    whiteKey: '#f8f8f8',
+    blackKey: '#222222',
+    whiteKeyText: '#222222',
+    blackKeyText: '#eeeeee',
+    whiteScaleKey: '#dce8f2',
+    blackScaleKey: '#3b4a58',
+    keyBorder: '#888888',
+    roleLabel: '#111111',
+    root: '#d9a441',
+    roleThird: '#e15759',
+    roleFifth: '#4e79a7',
+    roleSeventh: '#59a14f',
+    roleExtension: '#b07aa1',
+    outOfScale: '#d9823b',
+    path: '#e07a5f',
+    canvasText: '#dddddd',
+    canvasMutedText: '#888888',
+    error: '#dd6666',
+    success: '#5cb85c',
+    warning: '#d9823b',
+    missing: '#e0c050',
+    wrong: '#d9534f',
+    selection: 'rgba(70, 130, 180, 0.25)',
+    selectedNote: '#aaaadd',
+    rowBand: 'rgba(128, 128, 128, 0.1)',
+    gridLine: 'rgba(128, 128, 128, 0.5)',
+    shapeFill: '#333333',
+    shapeStroke: '#555555',
+    string: '#aaaaaa'
+};
+
+const LIGHT_COLORS = {
+    ...DARK_COLORS,
+    background: '#eeeeee',
+    text: '#222222',
+    mutedText: '#666666',
+    toolbarBorder: '#cccccc',
+    viewBackground: '#ffffff',
+    viewBorder: '#dddddd',
+    axis: '#555555',
+    svgText: '#222222',
+    buttonText: '#222222',
+    buttonBackground: '#e4e4e4',
+    buttonBorder: '#bbbbbb',
+    scrollBarThumb: '#bbbbbb',
+    scrollBarThumbHover: '#999999',
+    velocityLow: '#9ecae1',
+    velocityHigh: '#08306b',
+    whiteKey: '#ffffff',
+    blackKey: '#333333',
+    keyBorder: '#999999',
+    canvasText: '#222222',
+    canvasMutedText: '#666666',
+    error: '#c9302c',
+    selectedNote: '#1d4f7a',
+    rowBand: 'rgba(128, 128, 128, 0.12)',
+    shapeFill: '#f0f0f0',
+    shapeStroke: '#bbbbbb',
+    string: '#777777'
+};
+
+const HIGH_CONTRAST_COLORS = {
+    ...DARK_COLORS,
+    accent: '#ffd400',
+    background: '#000000',
+    text: '#ffffff',
+    mutedText: '#dddddd',
+    toolbarBorder: '#ffffff',
+    viewBackground: '#000000',
+    viewBorder: '#ffffff',
+    axis: '#ffffff',
+    svgText: '#ffffff',
+    buttonText: '#ffffff',
+    buttonBackground: '#000000',
+    buttonBorder: '#ffffff',
+    scrollBarThumb: '#ffffff',
+    scrollBarThumbHover: '#ffd400',
+    note: '#00a2ff',
+    sounding: '#c77dff',
+    playback: '#00e08a',
+    highlighted: '#7fdbff',
+    velocityLow: '#0066cc',
+    velocityHigh: '#7fdbff',
+    whiteKey: '#ffffff',
+    blackKey: '#000000',
+    whiteKeyText: '#000000',
+    blackKeyText: '#ffffff',
+    whiteScaleKey: '#fff3a0',
+    blackScaleKey: '#5c4d00',
+    keyBorder: '#777777',
+    roleLabel: '#000000',
+    root: '#ffd400',
+    roleThird: '#ff5c5c',
+    roleFifth: '#00a2ff',
+    roleSeventh: '#00e08a',
+    roleExtension: '#c77dff',
+    outOfScale: '#ff8c00',
+    path: '#ff5c5c',
+    canvasText: '#ffffff',
+    canvasMutedText: '#dddddd',
+    error: '#ff5c5c',
+    success: '#00e08a',
+    warning: '#ff8c00',
+    missing: '#ffd400',
+    wrong: '#ff3030',
+    selection: 'rgba(255, 212, 0, 0.3)',
+    selectedNote: '#ffd400',
+    rowBand: 'rgba(255, 255, 255, 0.12)',
+    gridLine: 'rgba(255, 255, 255, 0.6)',
+    shapeFill: '#000000',
+    shapeStroke: '#ffffff',
+    string: '#ffffff'
+};
+
+/**
+ * Themes that are always available
+ */
+export const BUILT_IN_THEMES = [
+    { id: 'dark', name: 'Dark', colors: DARK_COLORS },
+    { id: 'light', name: 'Light', colors: LIGHT_COLORS },
+    { id: 'high-contrast', name: 'High contrast', colors: HIGH_CONTRAST_COLORS }
+];
+
+/**
+ * Returns the stored theme settings
+ * @returns {Object} {themeId, customThemes}, themeId is 'auto' to follow the
+ *      system settings
+ */
+export function loadThemeSettings() {
+    const stored = getObjectFromLocalStorage(SETTINGS_STORAGE_KEY) || {};
+    return {
+        themeId: typeof stored.themeId === 'string' ? stored.themeId : 'auto',
+        customThemes: Array.isArray(stored.customThemes) ? stored.customThemes : []
+    };
+}
+
+/**
+ * @param {Object} settings theme settings {themeId, customThemes}
+ */
+export function saveThemeSettings(settings) {
+    storeObjectInLocalStorage(SETTINGS_STORAGE_KEY, settings);
+}
+
+/**
+ * Returns the preferences of the operating system or browser
+ * @returns {Object} {dark, highContrast}
+ */
+export function getSystemPreferences() {
+    const matches = query => Boolean(window.matchMedia && window.matchMedia(query).matches);
+    return {
+        dark: matches('(prefers-color-scheme: dark)'),
+        highContrast: matches('(prefers-contrast: more)')
+    };
+}
+
+/**
+ * Returns the theme to use
+ * @param {string} themeId theme ID or 'auto'
+ * @param {Object[]} customThemes user-defined themes
+ * @param {Object} preferences system preferences, see getSystemPreferences
+ * @returns {Object} theme {id, name, colors}, the dark theme if the ID is
+ *      unknown
+ */
+export function resolveTheme(themeId, customThemes, preferences) {
+    let id = themeId;
+    if (themeId === 'auto') {
+        if (preferences.highContrast) {
+            id = 'high-contrast';
+        } else {
+            id = preferences.dark ? 'dark' : 'light';
+        }
+    }
+    const theme = [...BUILT_IN_THEMES, ...customThemes].find(d => d.id === id) || BUILT_IN_THEMES[0];
+    // Colors added in later versions are missing in older custom themes
+    return { ...theme, colors: { ...DARK_COLORS, ...theme.colors } };
+}
+
+/**
+ * Creates a user-defined theme as a copy of another one
+ * @param {string} name name
+ * @param {Object} base theme to copy the colors from
+ * @returns {Object} theme {id, name, colors}
+ */
+export function createCustomTheme(name, base) {
+    return {
+        id: `custom-${Date.now()}`,
+        name,
+        colors: { ...base.colors }
+    };
+}
+
+/**
+ * Returns the CSS custom properties of a theme, mapped to their values
+ * @param {Object} theme theme
+ * @returns {Object} style
+ */
+export function getThemeStyle(theme) {
+    const style = {};
+    for (let [color, variable] of Object.entries(CSS_VARIABLES)) {
+        style[variable] = theme.colors[color];
+    }
+    return style;
+}